@@ -0,0 +1,224 @@
+// Self-hostable sync server. No dependencies: node:http and a JSON file.
+//
+//   node server/index.js                 (PORT=8787, DATA_FILE=server/data.json)
+//
+// Every profile keeps its entries as records { ...entry, updatedAt, deleted? }.
+// A write wins if its updatedAt is newer than the stored one (last write
+// wins per entry id; a tie keeps what is there, so replays are harmless).
+// Deletes are kept as tombstones so other devices hear about them. Each accepted write gets the next `rev`, and clients pull with
+// ?since=<rev> so their cursor never depends on anyone's clock.
+//
+//   GET    /api/health
+//   GET    /api/profiles                         -> [{ id, name }]
+//   PUT    /api/profiles/:id                     { name }
+//   GET    /api/profiles/:id/journey             -> { journey, updatedAt }
+//   PUT    /api/profiles/:id/journey             { journey, updatedAt }
+//   GET    /api/profiles/:id/milestones          -> [milestone]
+//   GET    /api/profiles/:id/entries?since=rev   -> { rev, entries: [record] }
+//   PUT    /api/profiles/:id/entries             { entries: [record] } -> { rev, accepted }
+//   DELETE /api/profiles/:id/entries/:entryId?updatedAt=ms
+
+import { createServer } from "node:http";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+const MAX_BODY = 5 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function readData(file) {
+  try {
+    const data = JSON.parse(await readFile(file, "utf8"));
+    return { rev: Number(data.rev) || 0, profiles: data.profiles ?? {} };
+  } catch (err) {
+    if (err.code === "ENOENT") return { rev: 0, profiles: {} };
+    throw err;
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a file.
+async function writeData(file, data) {
+  const tmp = `${file}.tmp`;
+  await writeFile(tmp, JSON.stringify(data));
+  await rename(tmp, file);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) reject(new HttpError(413, "Request body is too large"));
+      else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new HttpError(400, "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function validRecord(r) {
+  if (!r || typeof r.id !== "string" || !r.id || !Number.isFinite(r.updatedAt)) return false;
+  if (r.deleted) return true;
+  return Number.isFinite(r.miles) && r.miles > 0 && !isNaN(new Date(r.date).getTime());
+}
+
+// Applies one record with last-write-wins; returns true if it was stored.
+function applyRecord(data, profile, record) {
+  const current = profile.entries[record.id];
+  if (current && current.updatedAt >= record.updatedAt) return false;
+  const stored = record.deleted ? { id: record.id, deleted: true, updatedAt: record.updatedAt } : { ...record };
+  delete stored.rev;
+  profile.entries[record.id] = { ...stored, rev: ++data.rev };
+  return true;
+}
+
+function ensureProfile(data, id, name) {
+  if (!data.profiles[id]) data.profiles[id] = { id, name: name || "Traveller", journey: null, entries: {} };
+  return data.profiles[id];
+}
+
+function findProfile(data, id) {
+  const profile = data.profiles[id];
+  if (!profile) throw new HttpError(404, `No profile ${id}`);
+  return profile;
+}
+
+// Returns a request handler. Requests are handled one at a time so the
+// read-modify-write on the data file never interleaves.
+export function createHandler({ file }) {
+  let queue = Promise.resolve();
+
+  async function route(req, url) {
+    const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    if (parts[0] !== "api") throw new HttpError(404, "Not found");
+    const [, collection, profileId, resource, entryId] = parts;
+    const method = req.method;
+
+    if (collection === "health" && method === "GET") return { ok: true };
+    if (collection !== "profiles") throw new HttpError(404, "Not found");
+
+    const data = await readData(file);
+    const save = () => writeData(file, data);
+
+    if (!profileId) {
+      if (method === "GET") return Object.values(data.profiles).map(({ id, name }) => ({ id, name }));
+      throw new HttpError(405, "Method not allowed");
+    }
+
+    if (!resource) {
+      if (method !== "PUT") throw new HttpError(405, "Method not allowed");
+      const { name } = await readBody(req);
+      ensureProfile(data, profileId, name).name = String(name || data.profiles[profileId].name);
+      await save();
+      return { id: profileId, name: data.profiles[profileId].name };
+    }
+
+    if (resource === "journey") {
+      if (method === "GET") {
+        const { journey } = findProfile(data, profileId);
+        if (!journey) throw new HttpError(404, "No journey saved for this profile");
+        return journey;
+      }
+      if (method === "PUT") {
+        const body = await readBody(req);
+        if (!body.journey || !Array.isArray(body.journey.milestones) || !Number.isFinite(body.updatedAt)) {
+          throw new HttpError(400, "Expected { journey: { milestones: [...] }, updatedAt }");
+        }
+        const profile = ensureProfile(data, profileId);
+        const accepted = !profile.journey || profile.journey.updatedAt < body.updatedAt;
+        if (accepted) {
+          profile.journey = { journey: body.journey, updatedAt: body.updatedAt };
+          await save();
+        }
+        return { accepted, ...profile.journey };
+      }
+      throw new HttpError(405, "Method not allowed");
+    }
+
+    if (resource === "milestones" && method === "GET") {
+      return findProfile(data, profileId).journey?.journey.milestones ?? [];
+    }
+
+    if (resource === "entries") {
+      if (method === "GET" && !entryId) {
+        const since = Number(url.searchParams.get("since")) || 0;
+        const profile = data.profiles[profileId];
+        const entries = profile ? Object.values(profile.entries).filter((e) => e.rev > since) : [];
+        return { rev: data.rev, entries: entries.sort((a, b) => a.rev - b.rev) };
+      }
+      if (method === "PUT" && !entryId) {
+        const { entries } = await readBody(req);
+        if (!Array.isArray(entries) || !entries.every(validRecord)) {
+          throw new HttpError(400, "Expected { entries: [{ id, updatedAt, miles, date } | { id, updatedAt, deleted: true }] }");
+        }
+        const profile = ensureProfile(data, profileId);
+        const accepted = entries.filter((r) => applyRecord(data, profile, r)).length;
+        await save();
+        return { rev: data.rev, accepted };
+      }
+      if (method === "DELETE" && entryId) {
+        const updatedAt = Number(url.searchParams.get("updatedAt")) || Date.now();
+        const accepted = applyRecord(data, findProfile(data, profileId), { id: entryId, deleted: true, updatedAt });
+        await save();
+        return { rev: data.rev, accepted };
+      }
+      throw new HttpError(405, "Method not allowed");
+    }
+
+    throw new HttpError(404, "Not found");
+  }
+
+  return (req, res) => {
+    // The tracker is served from another origin (the Vite dev server or a
+    // static host), so allow cross-origin calls.
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, PUT, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const run = queue.then(() => route(req, url));
+    queue = run.catch(() => {});
+    run.then(
+      (body) => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+      },
+      (err) => {
+        const status = err instanceof HttpError ? err.status : 500;
+        if (status === 500) console.error(err);
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: status === 500 ? "Internal server error" : err.message }));
+      }
+    );
+  };
+}
+
+export function startServer({ port = 8787, file = fileURLToPath(new URL("./data.json", import.meta.url)) } = {}) {
+  const server = createServer(createHandler({ file }));
+  return new Promise((resolve) => server.listen(port, () => resolve(server)));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = await startServer({
+    port: Number(process.env.PORT) || 8787,
+    file: process.env.DATA_FILE || undefined
+  });
+  console.log(`Sync server listening on http://localhost:${server.address().port}`);
+}
@@ -0,0 +1,79 @@
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { walkOn } from "../src/testFixtures.js";
+import { startServer } from "./index.js";
+
+let dir;
+let server;
+let base;
+
+const call = async (path, method = "GET", body) => {
+  const res = await fetch(`${base}/api${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const walk = (id, miles, updatedAt) => walkOn("2026-06-01", miles, { id, updatedAt });
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "mount-doom-sync-"));
+  server = await startServer({ port: 0, file: join(dir, "data.json") });
+  base = `http://localhost:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("sync server", () => {
+  it("creates profiles and lists them", async () => {
+    expect((await call("/health")).body).toEqual({ ok: true });
+    await call("/profiles/p1", "PUT", { name: "Dixon" });
+    expect((await call("/profiles")).body).toEqual([{ id: "p1", name: "Dixon" }]);
+  });
+
+  it("keeps the newest write per entry and hands out changes since a rev", async () => {
+    await call("/profiles/p1/entries", "PUT", { entries: [walk("a", 2, 100), walk("b", 3, 100)] });
+    const { body: first } = await call("/profiles/p1/entries?since=0");
+    expect(first.entries.map((e) => e.id)).toEqual(["a", "b"]);
+
+    const { body: put } = await call("/profiles/p1/entries", "PUT", { entries: [walk("a", 5, 50), walk("b", 4, 200)] });
+    expect(put.accepted).toBe(1);
+
+    const { body: since } = await call(`/profiles/p1/entries?since=${first.rev}`);
+    expect(since.entries).toEqual([expect.objectContaining({ id: "b", miles: 4, updatedAt: 200 })]);
+  });
+
+  it("keeps deletes as tombstones", async () => {
+    await call("/profiles/p1/entries", "PUT", { entries: [walk("a", 2, 100)] });
+    await call("/profiles/p1/entries/a?updatedAt=150", "DELETE");
+    const { body } = await call("/profiles/p1/entries?since=0");
+    expect(body.entries).toEqual([expect.objectContaining({ id: "a", deleted: true, updatedAt: 150 })]);
+
+    // An older edit from a device that hadn't heard about the delete loses.
+    await call("/profiles/p1/entries", "PUT", { entries: [walk("a", 9, 120)] });
+    expect((await call("/profiles/p1/entries?since=0")).body.entries[0].deleted).toBe(true);
+  });
+
+  it("stores the journey and serves its milestones", async () => {
+    const journey = { name: "Short hop", milestones: [{ id: "start", name: "Start", miles: 0 }, { id: "end", name: "End", miles: 10 }] };
+    expect((await call("/profiles/p1/journey", "PUT", { journey, updatedAt: 10 })).body.accepted).toBe(true);
+    expect((await call("/profiles/p1/journey", "PUT", { journey: { ...journey, name: "Old" }, updatedAt: 5 })).body.accepted).toBe(false);
+    expect((await call("/profiles/p1/milestones")).body).toEqual(journey.milestones);
+    expect((await call("/profiles/p1/journey")).body.journey.name).toBe("Short hop");
+  });
+
+  it("rejects bad requests and persists to the data file", async () => {
+    expect((await call("/profiles/p1/entries", "PUT", { entries: [{ id: "a" }] })).status).toBe(400);
+    expect((await call("/profiles/missing/milestones")).status).toBe(404);
+    await call("/profiles/p1/entries", "PUT", { entries: [walk("a", 2, 100)] });
+    const saved = JSON.parse(await readFile(join(dir, "data.json"), "utf8"));
+    expect(saved.profiles.p1.entries.a.miles).toBe(2);
+  });
+});
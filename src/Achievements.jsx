@@ -0,0 +1,53 @@
+import React from "react";
+import { ACHIEVEMENTS, currentStreak, longestStreak } from "./achievements";
+import { dailyTotals } from "./stats";
+import { fmtDay, localDateISO } from "./dates";
+import { C, pill, row } from "./ui";
+
+export default function Achievements({ entries, unlocked }) {
+  const days = dailyTotals(entries);
+  const streak = currentStreak(days, localDateISO());
+  const best = longestStreak(days);
+  const unlockedAt = new Map(unlocked.map((b) => [b.id, b.unlockedAt]));
+
+  const stat = pill(C.surface, C.ink);
+  const tile = (earned) => ({
+    padding: 10,
+    borderRadius: 12,
+    border: `1px solid ${earned ? C.goldLine : C.border}`,
+    background: earned ? C.goldTint : C.surfaceFaint,
+    opacity: earned ? 1 : 0.65
+  });
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <div style={{ fontWeight: 900 }}>Badges</div>
+        <div style={{ fontSize: 12, color: C.muted }}>
+          {unlocked.length} of {ACHIEVEMENTS.length} earned
+        </div>
+      </div>
+
+      <div style={row}>
+        <span style={stat}>Current streak: <strong>{streak}</strong> {streak === 1 ? "day" : "days"}</span>
+        <span style={stat}>Longest streak: <strong>{best}</strong> {best === 1 ? "day" : "days"}</span>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))", gap: 10, marginTop: 12 }}>
+        {ACHIEVEMENTS.map((a) => {
+          const at = unlockedAt.get(a.id);
+          return (
+            <div key={a.id} style={tile(Boolean(at))}>
+              <div style={{ fontSize: 22, filter: at ? "none" : "grayscale(1)" }}>{a.icon}</div>
+              <div style={{ fontWeight: 800, marginTop: 4 }}>{a.name}</div>
+              <div style={{ fontSize: 12, color: C.muted, marginTop: 2 }}>{a.description}</div>
+              <div style={{ fontSize: 12, color: at ? C.accent : C.muted, marginTop: 6 }}>
+                {at ? `Earned ${fmtDay(localDateISO(at))}` : "Locked"}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
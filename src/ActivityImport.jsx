@@ -0,0 +1,180 @@
+import React, { useRef, useState } from "react";
+import {
+  DISTANCE_UNITS,
+  classifyActivities,
+  guessMapping,
+  parseCSV,
+  parseGPX,
+  rowsToActivities
+} from "./activityImport";
+import { milestonesCrossed } from "./journeys";
+import { C, btnGhost, btnPrimary, inputStyle, label, pill, row } from "./ui";
+import { fmtDist } from "./units";
+
+const PREVIEW_ROWS = 50;
+
+function fmtDate(iso) {
+  return new Date(iso).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+}
+
+const STATUS_LABEL = { new: "New", duplicate: "Already logged", invalid: "Skipped" };
+
+export default function ActivityImport({ entries, milestones, totalMiles, unit = "mi", onImport }) {
+  const fileRef = useRef(null);
+  const [file, setFile] = useState(null); // { name, csv?: { headers, rows }, gpx?: activities }
+  const [mapping, setMapping] = useState(null);
+  const [error, setError] = useState(null);
+  const [summary, setSummary] = useState(null);
+
+  const readFile = async (f) => {
+    if (!f) return;
+    setError(null);
+    setSummary(null);
+    setFile(null);
+    try {
+      const text = await f.text();
+      if (/\.gpx$/i.test(f.name) || /^\s*<\?xml|<gpx[\s>]/.test(text.slice(0, 500))) {
+        const gpx = parseGPX(text);
+        if (gpx.length === 0) throw new Error("No tracks found in that GPX file.");
+        setFile({ name: f.name, gpx });
+      } else {
+        const csv = parseCSV(text);
+        if (csv.rows.length === 0) throw new Error("That CSV file has no rows.");
+        setFile({ name: f.name, csv });
+        setMapping(guessMapping(csv.headers, csv.rows));
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  };
+
+  const activities = !file
+    ? []
+    : file.gpx ?? (mapping.date === -1 || mapping.distance === -1 ? [] : rowsToActivities(file.csv.rows, mapping));
+  const classified = file ? classifyActivities(activities, entries, { source: file.name }) : [];
+  const fresh = classified.filter((a) => a.status === "new").map((a) => a.entry);
+  const addedMiles = fresh.reduce((sum, e) => sum + e.miles, 0);
+
+  const commit = () => {
+    if (fresh.length === 0) return;
+    const reached = milestonesCrossed(milestones, totalMiles, totalMiles + addedMiles);
+    onImport(fresh);
+    setSummary({ count: fresh.length, miles: addedMiles, reached });
+    setFile(null);
+  };
+
+  const column = (field) => (
+    <label>
+      <span style={{ ...label, display: "block", marginBottom: 4 }}>{field === "date" ? "Date column" : "Distance column"}</span>
+      <select
+        style={inputStyle}
+        value={mapping[field]}
+        onChange={(e) => setMapping((m) => ({ ...m, [field]: Number(e.target.value) }))}
+      >
+        <option value={-1}>Choose…</option>
+        {file.csv.headers.map((h, i) => (
+          <option key={i} value={i}>{h || `Column ${i + 1}`}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const cell = { padding: "6px", borderBottom: `1px solid ${C.border}`, textAlign: "left" };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Import from a fitness app</div>
+        <div style={{ fontSize: 12, color: C.muted }}>Strava, Garmin or Apple Health CSV, or a GPX track</div>
+      </div>
+
+      <div style={row}>
+        <button style={btnGhost} onClick={() => fileRef.current?.click()}>Choose CSV / GPX…</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".csv,.gpx,text/csv,application/gpx+xml"
+          style={{ display: "none" }}
+          onChange={(e) => readFile(e.target.files[0])}
+        />
+      </div>
+
+      {error && <div style={{ fontSize: 13, color: C.danger, marginTop: 10 }}>{error}</div>}
+
+      {summary && (
+        <div style={{ fontSize: 13, marginTop: 10 }}>
+          Imported <strong>{summary.count}</strong> walks ({fmtDist(summary.miles, unit)} {unit}).{" "}
+          {summary.reached.length > 0
+            ? `Milestones reached: ${summary.reached.map((m) => m.name).join(", ")}.`
+            : "No new milestones reached."}
+        </div>
+      )}
+
+      {file && (
+        <div style={{ marginTop: 12 }}>
+          {file.csv && (
+            <div style={row}>
+              {column("date")}
+              {column("distance")}
+              <label>
+                <span style={{ ...label, display: "block", marginBottom: 4 }}>Distance unit</span>
+                <select
+                  style={inputStyle}
+                  value={mapping.unit}
+                  onChange={(e) => setMapping((m) => ({ ...m, unit: e.target.value }))}
+                >
+                  {DISTANCE_UNITS.map((u) => (
+                    <option key={u.id} value={u.id}>{u.name}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+
+          <div style={row}>
+            <span style={pill(C.accentTint, C.accent)}>{fresh.length} new · {fmtDist(addedMiles, unit)} {unit}</span>
+            <span style={pill(C.surface, C.muted)}>
+              {classified.filter((a) => a.status === "duplicate").length} already logged
+            </span>
+            <span style={pill(C.dangerTint, C.danger)}>
+              {classified.filter((a) => a.status === "invalid").length} skipped
+            </span>
+          </div>
+
+          <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 12, fontSize: 13 }}>
+            <thead>
+              <tr style={{ color: C.muted }}>
+                <th style={cell}>Date</th>
+                <th style={cell}>{unit === "km" ? "Km" : "Miles"}</th>
+                <th style={cell}>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {classified.slice(0, PREVIEW_ROWS).map((a, i) => (
+                <tr key={i} style={{ color: a.status === "new" ? C.ink : C.muted }}>
+                  <td style={cell}>{a.date ? fmtDate(a.date) : "—"}</td>
+                  <td style={cell}>{a.miles > 0 ? fmtDist(a.miles, unit) : "—"}</td>
+                  <td style={cell}>{STATUS_LABEL[a.status]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {classified.length > PREVIEW_ROWS && (
+            <div style={{ fontSize: 12, color: C.muted, marginTop: 6 }}>
+              Showing the first {PREVIEW_ROWS} of {classified.length} rows.
+            </div>
+          )}
+
+          <div style={row}>
+            <button style={btnPrimary} onClick={commit} disabled={fresh.length === 0}>
+              Import {fresh.length} walks
+            </button>
+            <button style={btnGhost} onClick={() => setFile(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
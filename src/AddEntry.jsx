@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import { toLocalInput } from "./dates";
+import { btnGhost, btnPrimary, inputStyle, row, touchTarget } from "./ui";
+import { ENTRY_MODES } from "./units";
+
+// The add-a-walk form: in the stage card, or `compact` in the quick-add bar on
+// phones, where the date sits behind a toggle. It's a real form, so Enter in
+// any field adds the walk. `onAdd(mode, value, date)` returns true when the
+// entry was taken, and the fields are then cleared.
+export default function AddEntry({ unit = "mi", compact = false, onAdd }) {
+  const [mode, setMode] = useState("distance");
+  const [value, setValue] = useState("");
+  const [date, setDate] = useState("");
+  const [showDate, setShowDate] = useState(false);
+
+  const amountLabel = {
+    distance: unit === "km" ? "Kilometres walked" : "Miles walked",
+    steps: "Steps",
+    minutes: "Minutes walked"
+  }[mode];
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!onAdd(mode, value, date)) return;
+    setValue("");
+    setDate("");
+    setShowDate(false);
+  };
+
+  const dateField = (
+    <input
+      style={compact ? { ...inputStyle, width: "100%" } : inputStyle}
+      type="datetime-local"
+      aria-label="When you walked (leave empty for now)"
+      title="When you walked (leave empty for now)"
+      max={toLocalInput(new Date().toISOString())}
+      value={date}
+      onChange={(e) => setDate(e.target.value)}
+    />
+  );
+
+  return (
+    <form onSubmit={submit} aria-label="Add a walk">
+      {compact && showDate && <div style={{ marginBottom: 8 }}>{dateField}</div>}
+      <div style={compact ? { display: "flex", gap: 8, alignItems: "center" } : row}>
+        <select style={inputStyle} value={mode} onChange={(e) => setMode(e.target.value)} aria-label="Entry type" title="Entry type">
+          {ENTRY_MODES.map((m) => (
+            <option key={m.id} value={m.id}>{m.name}</option>
+          ))}
+        </select>
+        <input
+          style={compact ? { ...inputStyle, flex: 1, minWidth: 0, width: "auto" } : inputStyle}
+          type="number"
+          inputMode="decimal"
+          step="any"
+          aria-label={amountLabel}
+          placeholder={amountLabel}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+        />
+        {compact ? (
+          <button
+            type="button"
+            style={{ ...btnGhost, ...touchTarget }}
+            onClick={() => setShowDate((v) => !v)}
+            aria-pressed={showDate}
+            aria-label="Set when you walked"
+            title="Set when you walked"
+          >
+            🕒
+          </button>
+        ) : (
+          dateField
+        )}
+        <button type="submit" style={{ ...btnPrimary, ...touchTarget }}>Add</button>
+      </div>
+    </form>
+  );
+}
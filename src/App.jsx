@@ -1,7 +1,7 @@
 import MountDoomTracker from "./MountDoomTracker";
 
-function App() {
-  return <MountDoomTracker />;
+function App({ storage }) {
+  return <MountDoomTracker storage={storage} />;
 }
 
 export default App;
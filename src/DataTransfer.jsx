@@ -0,0 +1,96 @@
+import React, { useRef, useState } from "react";
+import { exportData, exportFileName, mergeImport, parseImport, previewImport } from "./transfer";
+import { C, btnDanger, btnGhost, btnPrimary, list, milestoneRow, row } from "./ui";
+import { fmtDist } from "./units";
+
+function download(text, fileName) {
+  const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function DataTransfer({ state, unit = "mi", onImport }) {
+  const fileRef = useRef(null);
+  const [pending, setPending] = useState(null); // { fileName, incoming, preview }
+  const [error, setError] = useState(null);
+
+  const exportAll = () => download(exportData(state), exportFileName());
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    setPending(null);
+    try {
+      const incoming = parseImport(await file.text());
+      setPending({ fileName: file.name, incoming, preview: previewImport(state, incoming) });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  };
+
+  const apply = (mode) => {
+    if (mode === "replace" && !confirm("Replace all travellers and entries on this device with the file’s contents?")) return;
+    const next = mode === "replace" ? pending.incoming : mergeImport(state, pending.incoming);
+    const added = mode === "replace" ? null : pending.preview.reduce((sum, p) => sum + p.newEntries, 0);
+    onImport(next, mode === "replace" ? "Data replaced from file." : `Merged ${added} new entries from file.`);
+    setPending(null);
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Backup &amp; restore</div>
+        <div style={{ fontSize: 12, color: C.muted }}>Entries, journeys and settings for every traveller</div>
+      </div>
+
+      <div style={row}>
+        <button style={btnPrimary} onClick={exportAll}>Export JSON</button>
+        <button style={btnGhost} onClick={() => fileRef.current?.click()}>Import JSON…</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: "none" }}
+          onChange={(e) => readFile(e.target.files[0])}
+        />
+      </div>
+
+      {error && <div style={{ fontSize: 13, color: C.danger, marginTop: 10 }}>{error}</div>}
+
+      {pending && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 13, color: C.muted, marginBottom: 8 }}>
+            Preview of <strong style={{ color: C.ink }}>{pending.fileName}</strong>
+          </div>
+          <ul style={list}>
+            {pending.preview.map((p, i) => (
+              <li key={i} style={milestoneRow(false)}>
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+                  <strong>{p.name}</strong>
+                  <span style={{ fontSize: 13, color: C.muted }}>
+                    {p.entries} entries · {fmtDist(p.miles, unit)} {unit}
+                  </span>
+                </div>
+                <div style={{ fontSize: 13, color: C.muted, marginTop: 4 }}>
+                  {p.matchName
+                    ? `Merges into ${p.matchName}: ${p.newEntries} new, ${p.duplicates} already here (skipped).`
+                    : "New traveller: added on merge."}
+                </div>
+              </li>
+            ))}
+          </ul>
+          <div style={row}>
+            <button style={btnPrimary} onClick={() => apply("merge")}>Merge</button>
+            <button style={btnDanger} onClick={() => apply("replace")}>Replace everything</button>
+            <button style={btnGhost} onClick={() => setPending(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import NumberInput from "./NumberInput";
+import ProgressBar from "./ProgressBar";
+import { C, inputStyle, label, list, milestoneRow, row } from "./ui";
+import { distInputValue, fmtDist, fromUnit } from "./units";
+
+function profileMiles(profile) {
+  return profile.entries.reduce((sum, e) => sum + e.miles, 0);
+}
+
+// Everyone's miles pooled toward one shared goal.
+export default function Fellowship({ profiles, activeProfileId, unit = "mi", goalMiles, onGoalMilesChange }) {
+  const members = profiles
+    .map((p) => ({ id: p.id, name: p.name, miles: profileMiles(p) }))
+    .sort((a, b) => b.miles - a.miles);
+  const combined = members.reduce((sum, m) => sum + m.miles, 0);
+  const pct = goalMiles > 0 ? Math.min(100, (combined / goalMiles) * 100) : 100;
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>The Fellowship</div>
+        <label style={{ fontSize: 13, display: "flex", gap: 8, alignItems: "center" }}>
+          <span style={label}>Shared goal</span>
+          <NumberInput
+            style={{ ...inputStyle, width: 110 }}
+            min="1"
+            step="1"
+            value={distInputValue(goalMiles, unit)}
+            onCommit={(v) => onGoalMilesChange(Math.max(1, fromUnit(v, unit)))}
+          />
+          {unit}
+        </label>
+      </div>
+
+      <div style={{ fontSize: 30, fontWeight: 800, margin: "6px 0 2px" }}>
+        {fmtDist(combined, unit)} <span style={{ fontSize: 16, color: C.muted }}>of {fmtDist(goalMiles, unit)} {unit} together</span>
+      </div>
+      <ProgressBar value={pct} label="Fellowship progress" valueText={`${pct.toFixed(0)}% of the shared goal`} />
+      <div style={{ fontSize: 13, color: C.muted, marginTop: 8 }}>
+        {combined >= goalMiles ? "Goal reached together 🎉" : `${fmtDist(goalMiles - combined, unit)} ${unit} to go · ${pct.toFixed(0)}%`}
+      </div>
+
+      <ul style={{ ...list, marginTop: 12 }}>
+        {members.map((m) => (
+          <li key={m.id} style={milestoneRow(m.id === activeProfileId)}>
+            <div style={{ ...row, marginTop: 0, justifyContent: "space-between" }}>
+              <strong>{m.name}</strong>
+              <span style={{ fontVariantNumeric: "tabular-nums" }}>
+                {fmtDist(m.miles, unit)} {unit}
+                <span style={{ color: C.muted }}> · {combined > 0 ? ((m.miles / combined) * 100).toFixed(0) : 0}%</span>
+              </span>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React from "react";
+import { PACE_WINDOWS, forecastMilestones, neededPerDay, rollingAverage } from "./forecast";
+import { daysBetween, fmtDay, localDateISO } from "./dates";
+import { C, inputStyle, label, pill, row } from "./ui";
+import { fmtDist } from "./units";
+
+export default function Forecast({ milestones, entries, totalMiles, unit = "mi", goalDate, onGoalDateChange }) {
+  const today = localDateISO();
+  const goal = milestones[milestones.length - 1];
+  const milesRemaining = Math.max(0, goal.miles - totalMiles);
+
+  const paces = PACE_WINDOWS.map((days) => rollingAverage(entries, days, today));
+  const rows = forecastMilestones(milestones, totalMiles, paces, today);
+  const needed = neededPerDay(milesRemaining, goalDate, today);
+  const daysLeft = goalDate ? daysBetween(today, goalDate) : null;
+
+  const stat = pill(C.surface, C.ink);
+  const cell = { padding: "8px 6px", borderBottom: `1px solid ${C.border}`, textAlign: "left" };
+  const num = { ...cell, fontVariantNumeric: "tabular-nums" };
+
+  const arrivalCell = (arrival) => {
+    if (!arrival) return <span style={{ color: C.muted }}>—</span>;
+    const late = goalDate && arrival > goalDate;
+    return <span style={{ color: late ? C.danger : C.ink }}>{fmtDay(arrival)}</span>;
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Forecast</div>
+        <label style={{ fontSize: 13, display: "flex", gap: 8, alignItems: "center" }}>
+          <span style={label}>Goal date</span>
+          <input
+            style={inputStyle}
+            type="date"
+            min={today}
+            value={goalDate || ""}
+            onChange={(e) => onGoalDateChange(e.target.value || null)}
+          />
+        </label>
+      </div>
+
+      <div style={row}>
+        {PACE_WINDOWS.map((days, i) => (
+          <span key={days} style={stat}>
+            {days}-day pace: <strong>{fmtDist(paces[i], unit)}</strong> {unit}/day
+          </span>
+        ))}
+        {needed !== null && milesRemaining > 0 && (
+          <span style={pill(C.goldTint, C.ink)}>
+            {needed === Infinity ? (
+              <>Goal date has passed</>
+            ) : (
+              <>
+                Needed: <strong>{fmtDist(needed, unit)}</strong> {unit}/day for {daysLeft + 1} days
+              </>
+            )}
+          </span>
+        )}
+      </div>
+
+      {!goalDate && (
+        <div style={{ fontSize: 13, color: C.muted, marginTop: 8 }}>
+          Set a goal date to see the pace needed to reach {goal.name} in time.
+        </div>
+      )}
+
+      {rows.length === 0 ? (
+        <p style={{ fontSize: 14, color: C.muted, marginTop: 10, marginBottom: 0 }}>
+          Every stop reached. Nothing left to forecast.
+        </p>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 12, fontSize: 13 }}>
+          <thead>
+            <tr style={{ color: C.muted }}>
+              <th style={cell}>Stop</th>
+              <th style={cell}>{unit === "km" ? "Km" : "Miles"} left</th>
+              {PACE_WINDOWS.map((days) => (
+                <th key={days} style={cell}>At {days}-day pace</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.milestone.id}>
+                <td style={{ ...cell, fontWeight: 700 }}>{r.milestone.name}</td>
+                <td style={num}>{fmtDist(r.milesLeft, unit)}</td>
+                {r.arrivals.map((arrival, i) => (
+                  <td key={PACE_WINDOWS[i]} style={num}>{arrivalCell(arrival)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
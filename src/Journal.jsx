@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { unlockedPassages } from "./story";
+import { C, btnGhost, list, milestoneRow, pill } from "./ui";
+import { fmtDist } from "./units";
+
+// Story passages unlocked so far, newest first. Opening one marks it read.
+export default function Journal({ passages, totalMiles, readIds, unit = "mi", onMarkRead }) {
+  const [openId, setOpenId] = useState(null);
+  const read = new Set(readIds);
+  const unlocked = unlockedPassages(passages, totalMiles).reverse();
+  const unread = unlocked.filter((p) => !read.has(p.id));
+  const next = passages.find((p) => p.miles > totalMiles);
+
+  const toggle = (p) => {
+    setOpenId((id) => (id === p.id ? null : p.id));
+    if (!read.has(p.id)) onMarkRead([p.id]);
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>
+          Journal{" "}
+          {unread.length > 0 && <span style={pill(C.accentTint, C.accent)}>{unread.length} unread</span>}
+        </div>
+        {unread.length > 0 && (
+          <button style={btnGhost} onClick={() => onMarkRead(unread.map((p) => p.id))}>Mark all read</button>
+        )}
+      </div>
+
+      {unlocked.length === 0 ? (
+        <p style={{ fontSize: 14, color: C.muted, marginTop: 10, marginBottom: 0 }}>
+          {next ? `Walk on: the first passage unlocks at ${fmtDist(next.miles, unit)} ${unit}.` : "This journey has no story passages yet."}
+        </p>
+      ) : (
+        <ul style={{ ...list, marginTop: 12 }}>
+          {unlocked.map((p) => {
+            const isOpen = openId === p.id;
+            const isRead = read.has(p.id);
+            return (
+              <li key={p.id} style={milestoneRow(isOpen)}>
+                <button
+                  onClick={() => toggle(p)}
+                  aria-expanded={isOpen}
+                  style={{
+                    all: "unset",
+                    cursor: "pointer",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    gap: 10,
+                    width: "100%"
+                  }}
+                >
+                  <span style={{ fontWeight: isRead ? 600 : 900 }}>📜 {p.title}</span>
+                  <span style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 12, color: C.muted }}>
+                    {!isRead && <span style={pill(C.goldTint, C.gold)}>New</span>}
+                    {fmtDist(p.miles, unit)} {unit}
+                  </span>
+                </button>
+                {isOpen && <p style={{ fontSize: 14, lineHeight: 1.5, margin: "10px 0 0" }}>{p.text}</p>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {unlocked.length > 0 && next && (
+        <div style={{ fontSize: 12, color: C.muted, marginTop: 8 }}>
+          Next passage in {fmtDist(next.miles - totalMiles, unit)} {unit}.
+        </div>
+      )}
+    </div>
+  );
+}
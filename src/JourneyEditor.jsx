@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import { JOURNEY_PRESETS, journeyFromPreset, makeMilestoneId, validateMilestones } from "./journeys";
+import { C, btnDanger, btnGhost, btnPrimary, inputStyle, label, list, milestoneRow, row } from "./ui";
+import { distInputValue, fromUnit } from "./units";
+
+// Inputs hold strings in the display unit while typing; distances only become
+// miles on save. Untouched fields keep their stored miles, so a km round trip
+// doesn't drift.
+function toDraft(journey, unit) {
+  return {
+    name: journey.name,
+    presetId: journey.presetId ?? null,
+    stops: journey.milestones.map((m) => {
+      const shown = String(distInputValue(m.miles, unit));
+      return { ...m, miles: shown, stored: { shown, miles: m.miles } };
+    })
+  };
+}
+
+function fromDraft(draft, unit) {
+  return draft.stops.map(({ stored, ...s }) => ({
+    ...s,
+    name: s.name.trim(),
+    miles: s.miles === "" ? NaN : s.miles === stored?.shown ? stored.miles : fromUnit(Number(s.miles), unit)
+  }));
+}
+
+export default function JourneyEditor({ journey, unit = "mi", onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => toDraft(journey, unit));
+
+  const milestones = fromDraft(draft, unit);
+  const errors = validateMilestones(milestones);
+  if (!draft.name.trim()) errors.unshift("The journey needs a name.");
+
+  const edit = (patch) => setDraft((prev) => ({ ...prev, ...patch, presetId: null }));
+
+  const updateStop = (index, field, value) => {
+    edit({ stops: draft.stops.map((s, i) => (i === index ? { ...s, [field]: value } : s)) });
+  };
+
+  // Distances belong to the slot, not the stop: moving a stop trades places
+  // with its neighbour while the route stays in increasing order.
+  const moveStop = (index, delta) => {
+    const to = index + delta;
+    if (to < 0 || to >= draft.stops.length) return;
+    const at = (i, from) => ({ ...draft.stops[from], miles: draft.stops[i].miles, stored: draft.stops[i].stored });
+    const stops = [...draft.stops];
+    [stops[index], stops[to]] = [at(index, to), at(to, index)];
+    edit({ stops });
+  };
+
+  const removeStop = (index) => edit({ stops: draft.stops.filter((_, i) => i !== index) });
+
+  const addStop = () => {
+    const last = draft.stops[draft.stops.length - 1];
+    const name = "New stop";
+    edit({
+      stops: [
+        ...draft.stops,
+        { id: makeMilestoneId(name, draft.stops), name, miles: String((Number(last?.miles) || 0) + 100), event: "", reward: "" }
+      ]
+    });
+  };
+
+  const loadPreset = (presetId) => {
+    if (!presetId) return;
+    setDraft(toDraft(journeyFromPreset(presetId), unit));
+  };
+
+  const save = () => {
+    if (errors.length > 0) return;
+    onSave({ presetId: draft.presetId, name: draft.name.trim(), milestones });
+  };
+
+  const fieldLabel = { ...label, display: "block", marginBottom: 4 };
+  const arrow = { ...btnGhost, padding: "6px 10px" };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Edit journey</div>
+        <label style={{ fontSize: 13, display: "flex", gap: 8, alignItems: "center" }}>
+          <span style={label}>Start from preset</span>
+          <select style={inputStyle} value="" onChange={(e) => loadPreset(e.target.value)}>
+            <option value="">Choose…</option>
+            {JOURNEY_PRESETS.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={row}>
+        <label style={{ flex: 1 }}>
+          <span style={fieldLabel}>Journey name</span>
+          <input style={{ ...inputStyle, width: "100%" }} value={draft.name} onChange={(e) => edit({ name: e.target.value })} />
+        </label>
+      </div>
+
+      <ul style={{ ...list, marginTop: 12 }}>
+        {draft.stops.map((s, i) => (
+          <li key={s.id} style={milestoneRow(false)}>
+            <div style={{ ...row, marginTop: 0 }}>
+              <input
+                style={{ ...inputStyle, flex: 2, minWidth: 140 }}
+                placeholder="Stop name"
+                aria-label={`Stop ${i + 1} name`}
+                value={s.name}
+                onChange={(e) => updateStop(i, "name", e.target.value)}
+              />
+              <input
+                style={{ ...inputStyle, width: 100 }}
+                type="number"
+                min="0"
+                placeholder={unit === "km" ? "Km" : "Miles"}
+                aria-label={`Stop ${i + 1} ${unit === "km" ? "kilometres" : "miles"} from the start`}
+                value={s.miles}
+                onChange={(e) => updateStop(i, "miles", e.target.value)}
+              />
+              <button style={arrow} onClick={() => moveStop(i, -1)} disabled={i === 0} title="Move up" aria-label={`Move ${s.name || "stop"} up`}>↑</button>
+              <button style={arrow} onClick={() => moveStop(i, 1)} disabled={i === draft.stops.length - 1} title="Move down" aria-label={`Move ${s.name || "stop"} down`}>↓</button>
+              <button style={btnDanger} onClick={() => removeStop(i)} disabled={draft.stops.length <= 2}>Remove</button>
+            </div>
+            <div style={{ ...row, marginTop: 8 }}>
+              <input
+                style={{ ...inputStyle, flex: 1, minWidth: 160 }}
+                placeholder="Event"
+                aria-label={`Stop ${i + 1} event`}
+                value={s.event ?? ""}
+                onChange={(e) => updateStop(i, "event", e.target.value)}
+              />
+              <input
+                style={{ ...inputStyle, flex: 1, minWidth: 160 }}
+                placeholder="Reward"
+                aria-label={`Stop ${i + 1} reward`}
+                value={s.reward ?? ""}
+                onChange={(e) => updateStop(i, "reward", e.target.value)}
+              />
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <button style={btnGhost} onClick={addStop}>Add stop</button>
+
+      {errors.length > 0 && (
+        <ul style={{ margin: "12px 0 0", paddingLeft: 18, fontSize: 13, color: C.danger }}>
+          {errors.map((err) => (
+            <li key={err}>{err}</li>
+          ))}
+        </ul>
+      )}
+
+      <div style={row}>
+        <button style={btnPrimary} onClick={save} disabled={errors.length > 0}>Save journey</button>
+        <button style={btnGhost} onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { cleanup, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import JourneyEditor from "./JourneyEditor";
+import { DEFAULT_JOURNEY } from "./journeys";
+
+afterEach(cleanup);
+
+describe("JourneyEditor", () => {
+  it("edits stop distances in kilometres and keeps untouched stops exact", async () => {
+    const user = userEvent.setup();
+    const onSave = vi.fn();
+    render(<JourneyEditor journey={DEFAULT_JOURNEY} unit="km" onSave={onSave} onCancel={() => {}} />);
+
+    const second = screen.getByRole("spinbutton", { name: "Stop 2 kilometres from the start" });
+    expect(second.value).toBe(String(+(DEFAULT_JOURNEY.milestones[1].miles * 1.609344).toFixed(2)));
+
+    await user.clear(second);
+    await user.type(second, "16.09344");
+    await user.click(screen.getByRole("button", { name: "Save journey" }));
+
+    const saved = onSave.mock.lastCall[0].milestones;
+    expect(saved[1].miles).toBeCloseTo(10);
+    expect(saved.slice(2).map((m) => m.miles)).toEqual(DEFAULT_JOURNEY.milestones.slice(2).map((m) => m.miles));
+  });
+});
+
+describe("moving stops", () => {
+  it("keeps each slot's distance so the journey can still be saved", async () => {
+    const user = userEvent.setup();
+    const onSave = vi.fn();
+    render(<JourneyEditor journey={DEFAULT_JOURNEY} onSave={onSave} onCancel={() => {}} />);
+
+    await user.click(screen.getByRole("button", { name: "Move Bree down" }));
+    await user.click(screen.getByRole("button", { name: "Save journey" }));
+
+    const saved = onSave.mock.lastCall[0].milestones;
+    expect(saved.map((m) => m.id).slice(0, 3)).toEqual(["shire", "rivendell", "bree"]);
+    expect(saved.map((m) => m.miles)).toEqual(DEFAULT_JOURNEY.milestones.map((m) => m.miles));
+    expect(saved[2]).toMatchObject({ name: "Bree", event: DEFAULT_JOURNEY.milestones[1].event, reward: DEFAULT_JOURNEY.milestones[1].reward });
+  });
+});
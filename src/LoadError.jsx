@@ -0,0 +1,16 @@
+import React from "react";
+import { C, card, page } from "./ui";
+
+// Shown instead of the tracker when saved data couldn't be read. Nothing has
+// been written, so reloading tries again with the data untouched.
+export default function LoadError({ error }) {
+  return (
+    <main style={page}>
+      <div style={{ ...card, maxWidth: 520, margin: "40px auto" }} role="alert">
+        <h1 style={{ marginTop: 0, fontSize: 22 }}>Your saved walks couldn’t be read</h1>
+        <p>Nothing has been changed. Reload the page to try again.</p>
+        {error?.message && <p style={{ fontSize: 13, color: C.muted, marginBottom: 0 }}>{error.message}</p>}
+      </div>
+    </main>
+  );
+}
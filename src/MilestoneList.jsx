@@ -0,0 +1,67 @@
+import React, { useId, useState } from "react";
+import { fmtDay } from "./dates";
+import { C, btnGhost, list, milestoneRow, pill, srOnly, touchTarget } from "./ui";
+import { fmtDist } from "./units";
+
+// The stops on the route with what's left to each. `collapsible` (phones)
+// lists only the current and next stop until expanded.
+export default function MilestoneList({ milestones, totalMiles, currentId, nextId, claims = {}, reachedAt = {}, unit = "mi", collapsible = false }) {
+  const [expanded, setExpanded] = useState(false);
+  const listId = useId();
+
+  const shown = collapsible && !expanded ? milestones.filter((m) => m.id === currentId || m.id === nextId) : milestones;
+
+  return (
+    <div>
+      <ul style={list} id={listId}>
+        {shown.map((m) => {
+          const left = Math.max(0, m.miles - totalMiles);
+          const unlocked = left === 0;
+          const isCurrent = currentId === m.id;
+
+          return (
+            <li key={m.id} style={milestoneRow(isCurrent)} aria-current={isCurrent ? "step" : undefined}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 10, alignItems: "center" }}>
+                <div style={{ fontWeight: isCurrent ? 900 : 600 }}>
+                  <span aria-hidden="true">{unlocked ? "✅" : "🔒"} </span>
+                  {m.name}
+                  <span style={srOnly}>{unlocked ? " (reached)" : " (locked)"}</span>
+                </div>
+                <div style={{ fontVariantNumeric: "tabular-nums", fontWeight: 900, color: unlocked ? C.muted : C.ink }}>
+                  {fmtDist(left, unit)} {unit}
+                  <span style={srOnly}> left</span>
+                </div>
+              </div>
+
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 10, marginTop: 6, alignItems: "center" }}>
+                <div style={{ fontSize: 12, color: C.muted }}>
+                  Reward: <span style={{ color: C.accent2 }}>{m.reward}</span>
+                </div>
+                {isCurrent && <span style={pill(C.accentTint, C.accent)}>Current</span>}
+                {!isCurrent && unlocked && claims[m.id] && <span style={pill(C.accentTint, C.accent)}>Claimed</span>}
+                {!isCurrent && unlocked && !claims[m.id] && <span style={pill(C.goldTint, C.gold)}>Unlocked</span>}
+              </div>
+
+              {reachedAt[m.id] && m.miles > 0 && (
+                <div style={{ fontSize: 12, color: C.muted, marginTop: 4 }}>
+                  First reached {fmtDay(reachedAt[m.id])}
+                  {!unlocked && " · locked again"}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {collapsible && milestones.length > 2 && (
+        <button
+          style={{ ...btnGhost, ...touchTarget, width: "100%" }}
+          onClick={() => setExpanded((v) => !v)}
+          aria-expanded={expanded}
+          aria-controls={listId}
+        >
+          {expanded ? "Show fewer stops" : `Show all ${milestones.length} stops`}
+        </button>
+      )}
+    </div>
+  );
+}
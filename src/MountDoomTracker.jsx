@@ -1,25 +1,68 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import lorMap from "./assets/lor-map.jpeg";
-
-const STORAGE_KEY = "mount-doom-tracker-v9";
-
-const MILESTONES = [
-  { id: "shire", name: "The Shire (Bag End)", miles: 0, event: "The journey begins.", reward: "Pick your playlist." },
-  { id: "bree", name: "Bree", miles: 120, event: "You’ve left comfort behind.", reward: "Treat yourself to coffee." },
-  { id: "rivendell", name: "Rivendell", miles: 570, event: "A place of rest.", reward: "Buy something new for walking." },
-  { id: "moria", name: "Moria", miles: 1030, event: "A tough stretch.", reward: "Movie night: Fellowship." },
-  { id: "lothlorien", name: "Lothlórien", miles: 1120, event: "A calm after darkness.", reward: "Stretch + rest day." },
-  { id: "gondor", name: "Gondor", miles: 1400, event: "The final push begins.", reward: "New audiobook." },
-  { id: "mountdoom", name: "Mount Doom", miles: 1800, event: "The Ring is destroyed.", reward: "Celebrate big." }
-];
-
-function getUnlockedMilestone(miles) {
-  return [...MILESTONES].reverse().find((m) => miles >= m.miles) || MILESTONES[0];
-}
-
-function getNextMilestone(miles) {
-  return MILESTONES.find((m) => m.miles > miles) || null;
-}
+import lorMap from "./mapImage";
+import RouteMap from "./RouteMap";
+import TrainingPlan from "./TrainingPlan";
+import Forecast from "./Forecast";
+import JourneyEditor from "./JourneyEditor";
+import Profiles from "./Profiles";
+import Fellowship from "./Fellowship";
+import DataTransfer from "./DataTransfer";
+import ActivityImport from "./ActivityImport";
+import Stats from "./Stats";
+import Achievements from "./Achievements";
+import UnitSettings from "./UnitSettings";
+import ThemePicker from "./ThemePicker";
+import SyncSettings from "./SyncSettings";
+import Reminders from "./Reminders";
+import Journal from "./Journal";
+import AddEntry from "./AddEntry";
+import MilestoneList from "./MilestoneList";
+import ProgressBar from "./ProgressBar";
+import Toast from "./Toast";
+import Rewards from "./Rewards";
+import { awardAchievements } from "./achievements";
+import { EMPTY_HISTORY, applyChange, loadHistory, recordChange, redo, saveHistory, undo } from "./history";
+import { DEFAULT_JOURNEY, journeyFromSettings } from "./journeys";
+import {
+  applyAction,
+  backfillReached,
+  milestoneEvents,
+  milestoneMessage,
+  questProgress,
+  recordReached,
+  totalOf
+} from "./questCore";
+import { planFromSettings, todaysPlannedMiles } from "./ramp";
+import { reminderFromSettings, reminderMessage } from "./reminders";
+import { claimsFromSettings, withReward } from "./rewards";
+import { fromLocalInput, localDateISO, toLocalInput } from "./dates";
+import { NARROW_QUERY, useMediaQuery } from "./media";
+import { makeId, makeProfile } from "./storage";
+import { applyPull } from "./sync";
+import { passagesCrossed, passagesForJourney } from "./story";
+import { describeRaw, entryFromInput, fmtDist, toUnit, unitsFromSettings } from "./units";
+import {
+  C,
+  page,
+  header,
+  title,
+  grid,
+  gridNarrow,
+  headerNarrow,
+  card,
+  label,
+  big,
+  small,
+  row,
+  inputStyle,
+  btnPrimary,
+  btnGhost,
+  btnDanger,
+  list,
+  pill,
+  quickAddBar,
+  touchTarget
+} from "./ui";
 
 function fmtDateTime(iso) {
   const d = new Date(iso);
@@ -32,232 +75,359 @@ function fmtDateTime(iso) {
   });
 }
 
-export default function MountDoomTracker() {
-  const [entries, setEntries] = useState([]);
-  const [inputMiles, setInputMiles] = useState("");
-
-  const [isEditingLast, setIsEditingLast] = useState(false);
-  const [editMiles, setEditMiles] = useState("");
+function isFuture(iso) {
+  return new Date(iso).getTime() > Date.now();
+}
 
-  const [toast, setToast] = useState(null);
-  const toastTimerRef = useRef(null);
+// Quietly records badges already earned and stops already reached by
+// existing or imported history, so only new ones get a toast.
+function withBackfilledRecords(profiles) {
+  return profiles.map((p) => {
+    const { milestones } = journeyFromSettings(p.settings);
+    const { unlocked, fresh } = awardAchievements(p.settings.badges, p.entries, milestones);
+    const reachedAt = p.settings.reachedAt ?? {};
+    const filled = backfillReached(reachedAt, milestones, p.entries);
+    if (fresh.length === 0 && filled === reachedAt) return p;
+    return { ...p, settings: { ...p.settings, badges: unlocked, reachedAt: filled } };
+  });
+}
 
-  useEffect(() => {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    if (!saved) return;
-    try {
-      const parsed = JSON.parse(saved);
-      if (Array.isArray(parsed.entries)) setEntries(parsed.entries);
-    } catch {}
-  }, []);
+// `storage` is what openStorage() resolved to before the first render.
+export default function MountDoomTracker({ storage }) {
+  const { store } = storage;
+  const [profiles, setProfiles] = useState(() => withBackfilledRecords(storage.state.profiles));
+  const [activeProfileId, setActiveProfileId] = useState(storage.state.activeProfileId);
+  const [shared, setShared] = useState(storage.state.shared);
+  const [showFellowship, setShowFellowship] = useState(false);
+  const narrow = useMediaQuery(NARROW_QUERY);
 
-  useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify({ entries }));
-  }, [entries]);
+  const profile = profiles.find((p) => p.id === activeProfileId) || profiles[0];
+  const { entries, settings } = profile;
 
-  const totalMiles = useMemo(() => entries.reduce((sum, e) => sum + e.miles, 0), [entries]);
+  const updateProfile = (update) =>
+    setProfiles((prev) => prev.map((p) => (p.id === profile.id ? update(p) : p)));
+  const setSettings = (update) => updateProfile((p) => ({ ...p, settings: update(p.settings) }));
 
-  const currentMilestone = useMemo(() => getUnlockedMilestone(totalMiles), [totalMiles]);
-  const nextMilestone = useMemo(() => getNextMilestone(totalMiles), [totalMiles]);
-  const milesToNext = nextMilestone ? Math.max(0, nextMilestone.miles - totalMiles) : 0;
 
-  const progressToNext = useMemo(() => {
-    if (!nextMilestone) return 100;
-    const start = currentMilestone.miles;
-    const end = nextMilestone.miles;
-    const span = Math.max(1, end - start);
-    const into = Math.min(span, Math.max(0, totalMiles - start));
-    return (into / span) * 100;
-  }, [totalMiles, currentMilestone, nextMilestone]);
+  const [editingId, setEditingId] = useState(null);
+  const [editMiles, setEditMiles] = useState("");
+  const [editDate, setEditDate] = useState("");
+  const editButtonsRef = useRef(new Map());
+  const returnFocusRef = useRef(null);
 
-  const lastEntry = entries[entries.length - 1];
+  // Toasts queue up and show one at a time; the load notice stays until dismissed.
+  const [toasts, setToasts] = useState(() => (storage.notice ? [{ id: 0, message: storage.notice, sticky: true }] : []));
+  const toastIdRef = useRef(1);
+  const toast = toasts[0] ?? null;
 
-  const showRewardToast = (milestone) => {
-    if (!milestone) return;
-    setToast(`Reward unlocked at ${milestone.name}: ${milestone.reward}`);
-    if (toastTimerRef.current) clearTimeout(toastTimerRef.current);
-    toastTimerRef.current = setTimeout(() => setToast(null), 3600);
-  };
+  useEffect(() => {
+    if (!toast || toast.sticky) return;
+    const timer = setTimeout(() => setToasts((q) => q.filter((t) => t.id !== toast.id)), 3600);
+    return () => clearTimeout(timer);
+  }, [toast]);
 
-  const addMiles = () => {
-    const value = parseFloat(inputMiles);
-    if (isNaN(value) || value <= 0) return;
+  useEffect(() => {
+    store
+      .save({ activeProfileId: profile.id, profiles, shared })
+      .catch(() => {
+        const id = toastIdRef.current++;
+        const message = "Your latest changes couldn’t be saved on this device.";
+        setToasts((q) => (q.some((t) => t.message === message) ? q : [...q, { id, message }]));
+      });
+  }, [store, profile.id, profiles, shared]);
 
-    const prevTotal = totalMiles;
-    const nextTotal = prevTotal + value;
+  const [history, setHistory] = useState(() => loadHistory(storage.state.activeProfileId));
 
-    const prevUnlocked = getUnlockedMilestone(prevTotal);
-    const nextUnlocked = getUnlockedMilestone(nextTotal);
+  useEffect(() => {
+    saveHistory(history);
+  }, [history]);
+
+  const plan = useMemo(() => planFromSettings(settings), [settings]);
+  const journey = useMemo(() => journeyFromSettings(settings), [settings]);
+  const milestones = journey.milestones;
+  const story = useMemo(() => passagesForJourney(milestones), [milestones]);
+  const claims = claimsFromSettings(settings);
+  const reachedAt = settings.reachedAt ?? {};
+  const prefs = useMemo(() => unitsFromSettings(settings), [settings]);
+  const { unit } = prefs;
+  const [isEditingJourney, setIsEditingJourney] = useState(false);
+  const updateSettings = (patch) => setSettings((prev) => ({ ...prev, ...patch }));
+
+  const totalMiles = useMemo(() => totalOf(entries), [entries]);
+
+  const {
+    current: currentMilestone,
+    next: nextMilestone,
+    milesToNext,
+    percent: progressToNext
+  } = useMemo(() => questProgress(milestones, totalMiles), [milestones, totalMiles]);
 
-    setEntries((prev) => [
-      ...prev,
-      { id: crypto.randomUUID(), miles: value, date: new Date().toISOString(), edited: false }
-    ]);
+  const lastEntry = entries[entries.length - 1];
 
-    setInputMiles("");
-    setIsEditingLast(false);
+  const reminder = reminderFromSettings(settings);
+  const reminderText = reminderMessage({
+    nextMilestone,
+    milesToNext,
+    target: plan.planEnabled ? todaysPlannedMiles(plan, localDateISO()) : null,
+    unit
+  });
 
-    if (nextUnlocked.id !== prevUnlocked.id) showRewardToast(nextUnlocked);
+  // `action` is "undo" or "redo" to put that button on the toast; `kind`
+  // marks milestone toasts so they can be dropped once stale.
+  const showToast = (message, action = null, kind = null) => {
+    const id = toastIdRef.current++;
+    setToasts((q) => [...q, { id, message, action, kind }]);
   };
 
-  const deleteLast = () => {
-    if (!lastEntry) return;
-    setEntries((prev) => prev.slice(0, -1));
-    setIsEditingLast(false);
-    setEditMiles("");
-    setToast(null);
+  const dismissToast = () => setToasts((q) => q.slice(1));
+  // Sticky toasts (the load notice) stay until dismissed; `which` picks
+  // which of the others to drop, by default all of them.
+  const clearToasts = (which = () => true) => setToasts((q) => q.filter((t) => t.sticky || !which(t)));
+  const isMilestoneToast = (t) => t.kind === "milestone";
+
+  // Every change to the log goes through here so badges and milestones are
+  // checked once. Changes with a label go on the undo stack.
+  const commitEntries = (next, label = null, events = milestoneEvents(milestones, totalMiles, totalOf(next))) => {
+    if (label) setHistory((h) => recordChange(h, profile.id, label, entries, next));
+    const { unlocked, fresh } = awardAchievements(settings.badges, next, milestones);
+    const nextReachedAt = recordReached(reachedAt, events, milestones, next);
+    updateProfile((p) => ({
+      ...p,
+      entries: next,
+      settings:
+        fresh.length > 0 || nextReachedAt !== reachedAt
+          ? { ...p.settings, badges: unlocked, reachedAt: nextReachedAt }
+          : p.settings
+    }));
+
+    // Unlock toasts still queued are stale once a stop is given back.
+    if (events.some((e) => e.type === "relocked")) clearToasts(isMilestoneToast);
+    events.forEach((e) => showToast(milestoneMessage(e, milestones, totalOf(next), unit), null, "milestone"));
+    fresh.forEach((a) => showToast(`Badge earned: ${a.icon} ${a.name}`));
+
+    const passages = passagesCrossed(story, totalMiles, totalOf(next));
+    if (passages.length === 1) showToast(`📜 New journal passage: ${passages[0].title}`);
+    else if (passages.length > 1) showToast(`📜 ${passages.length} new journal passages`);
   };
 
-  const startEditLast = () => {
-    if (!lastEntry) return;
-    setEditMiles(String(lastEntry.miles));
-    setIsEditingLast(true);
+  const dispatch = (action, label) => {
+    const result = applyAction(milestones, entries, action);
+    commitEntries(result.entries, label, result.events);
   };
 
-  const saveEditLast = () => {
-    const value = parseFloat(editMiles);
-    if (isNaN(value) || value <= 0 || !lastEntry) return;
+  // From AddEntry; returns whether the walk was logged.
+  const addMiles = (mode, value, dateInput) => {
+    const input = entryFromInput(mode, value, prefs);
+    if (!input) {
+      showToast("Enter how far, how many steps or how long you walked.");
+      return false;
+    }
 
-    const prevTotal = totalMiles;
-    const nextTotal = prevTotal - lastEntry.miles + value;
+    const date = dateInput ? fromLocalInput(dateInput) : new Date().toISOString();
+    if (!date) {
+      showToast("That date isn’t valid.");
+      return false;
+    }
+    if (isFuture(date)) {
+      showToast("Entries can’t be dated in the future.");
+      return false;
+    }
 
-    const prevUnlocked = getUnlockedMilestone(prevTotal);
-    const nextUnlocked = getUnlockedMilestone(nextTotal);
+    dispatch({ type: "add", entry: { id: makeId(), miles: input.miles, raw: input.raw, date, edited: false } }, "add entry");
+    return true;
+  };
 
-    setEntries((prev) => {
-      const next = [...prev];
-      next[next.length - 1] = { ...next[next.length - 1], miles: value, edited: true };
-      return next;
-    });
+  const deleteEntry = (id) => {
+    const target = entries.find((e) => e.id === id);
+    if (!target) return;
 
-    setIsEditingLast(false);
-    setEditMiles("");
+    dispatch({ type: "delete", id }, "delete entry");
+    if (editingId === id) cancelEdit();
+    showToast(`Deleted ${fmtDist(target.miles, unit, 2)} ${unit} from ${fmtDateTime(target.date)}.`, "undo");
+  };
 
-    if (nextTotal > prevTotal && nextUnlocked.id !== prevUnlocked.id) {
-      showRewardToast(nextUnlocked);
-    }
+  const startEdit = (entry) => {
+    setEditingId(entry.id);
+    setEditMiles(String(+toUnit(entry.miles, unit).toFixed(2)));
+    setEditDate(toLocalInput(entry.date));
   };
 
-  const cancelEditLast = () => {
-    setIsEditingLast(false);
+  const saveEdit = () => {
+    const target = entries.find((e) => e.id === editingId);
+    const input = entryFromInput("distance", editMiles, prefs);
+    const date = fromLocalInput(editDate);
+    if (!target || !input || !date) return;
+    if (isFuture(date)) return showToast("Entries can’t be dated in the future.");
+
+    // Leaving the distance as shown keeps the stored miles (and raw value) exact.
+    const unchanged = editMiles === String(+toUnit(target.miles, unit).toFixed(2));
+    const changes = unchanged ? { date } : { miles: input.miles, raw: input.raw, date };
+    dispatch({ type: "edit", id: editingId, changes }, "edit entry");
+    finishEdit();
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
     setEditMiles("");
+    setEditDate("");
   };
 
-  // LOTR-ish palette (earth + parchment + gold)
-  const C = {
-    bg: "#584226",
-    card: "#ca7826",
-    border: "#bdb7a6",
-    ink: "#2b2418",
-    muted: "rgba(43,36,24,.72)",
-    accent: "#1f5b4d",
-    accent2: "#7a5a2a",
-    gold: "#b08d2a",
-    danger: "#7a2d2d",
-    shadow: "0 18px 40px rgba(0,0,0,0.35)",
-    dataBg: "rgba(61, 131, 223, 0.85)",
-    dataBorder: "rgba(120, 160, 210, 0.35)"
+  // Closing the form by Save, Cancel or Escape puts focus back on the entry's
+  // Edit button, so keyboard users don't lose their place in the log.
+  const finishEdit = () => {
+    returnFocusRef.current = editingId;
+    cancelEdit();
   };
 
-  const page = {
-    maxWidth: "100%",
-    margin: "0 auto",
-    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, sans-serif",
-    padding: 18,
-    color: C.ink
+  useEffect(() => {
+    if (editingId !== null || !returnFocusRef.current) return;
+    editButtonsRef.current.get(returnFocusRef.current)?.focus();
+    returnFocusRef.current = null;
+  }, [editingId]);
+
+  const switchProfile = (id) => {
+    cancelEdit();
+    setIsEditingJourney(false);
+    clearToasts();
+    if (id !== profile.id) setHistory(EMPTY_HISTORY);
+    setActiveProfileId(id);
   };
 
-  const header = { display: "flex", alignItems: "baseline", justifyContent: "space-between", marginBottom: 12 };
-  const title = { margin: 0, letterSpacing: 0.2 };
-  const grid = { display: "grid", gridTemplateColumns: "3fr 1fr", gap: 16, alignItems: "start" };
-  const card = { border: `1px solid ${C.border}`, borderRadius: 16, padding: 16, background: C.card, boxShadow: C.shadow };
-  const label = { fontSize: 12, color: C.muted, letterSpacing: 0.4, textTransform: "uppercase" };
-  const big = { fontSize: 30, fontWeight: 800, margin: "6px 0 2px" };
-  const small = { fontSize: 14, color: C.muted, marginTop: 6 };
-  const row = { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 12 };
-  const barWrap = { background: "#efe8d9", borderRadius: 999, overflow: "hidden", height: 12, marginTop: 10, border: `1px solid ${C.border}` };
-  const barFill = { width: `${Math.min(100, Math.max(0, progressToNext))}%`, background: `linear-gradient(90deg, ${C.accent}, ${C.gold})`, height: "100%" };
-
-  const inputStyle = {
-    padding: "10px 12px",
-    borderRadius: 12,
-    border: `1px solid ${C.border}`,
-    background: "#ffffff",
-    color: C.ink,
-    outline: "none"
+  const addProfile = (name) => {
+    const next = makeProfile(name);
+    setProfiles((prev) => [...prev, next]);
+    switchProfile(next.id);
   };
 
-  const btnBase = {
-    padding: "10px 12px",
-    borderRadius: 12,
-    border: `1px solid ${C.border}`,
-    cursor: "pointer",
-    fontWeight: 600
+  const renameProfile = (id, name) => {
+    setProfiles((prev) => prev.map((p) => (p.id === id ? { ...p, name } : p)));
   };
 
-  const btnPrimary = { ...btnBase, background: `linear-gradient(180deg, ${C.accent}, #18463b)`, color: "#fff", border: "1px solid rgba(0,0,0,0.08)" };
-  const btnGhost = { ...btnBase, background: "transparent", color: C.ink };
-  const btnDanger = { ...btnBase, background: "transparent", color: C.danger, border: `1px solid rgba(122,45,45,0.35)` };
-
-  const toastStyle = {
-    marginBottom: 12,
-    padding: "10px 12px",
-    borderRadius: 14,
-    background: "rgba(176,141,42,0.14)",
-    border: "1px solid rgba(176,141,42,0.35)",
-    color: C.ink
+  const removeProfile = (id) => {
+    const remaining = profiles.filter((p) => p.id !== id);
+    if (remaining.length === 0) return;
+    setProfiles(remaining);
+    if (id === profile.id) switchProfile(remaining[0].id);
+    if (remaining.length === 1) setShowFellowship(false);
   };
 
-  const list = { margin: 0, paddingLeft: 0, listStyle: "none" };
+  const importWalks = (walks) => dispatch({ type: "import", entries: walks }, "import walks");
 
-  const milestoneRow = (isCurrent) => ({
-    padding: "10px 10px",
-    borderRadius: 12,
-    border: `1px solid ${C.border}`,
-    background: isCurrent ? "rgba(31,91,77,0.10)" : "rgba(255,255,255,0.65)",
-    boxShadow: isCurrent ? "0 6px 18px rgba(31,91,77,0.10)" : "none",
-    marginBottom: 10
-  });
+  const importState = (next, message) => {
+    setProfiles(withBackfilledRecords(next.profiles));
+    setShared(next.shared);
+    setHistory(EMPTY_HISTORY);
+    switchProfile(next.profiles.some((p) => p.id === profile.id) ? profile.id : next.activeProfileId);
+    if (next.profiles.length === 1) setShowFellowship(false);
+    showToast(message);
+  };
+
+  const stepHistory = (direction) => {
+    const step = direction === "undo" ? undo(history) : redo(history);
+    if (!step) return;
+    setHistory(step.history);
+    cancelEdit();
+    clearToasts((t) => isMilestoneToast(t) || t.action);
+    commitEntries(applyChange(entries, step.change, direction));
+    showToast(
+      direction === "undo" ? `Undone: ${step.change.label}.` : `Redone: ${step.change.label}.`,
+      direction === "undo" ? "redo" : "undo"
+    );
+  };
 
-  const pill = (bg, fg) => ({
-    display: "inline-block",
-    padding: "3px 8px",
-    borderRadius: 999,
-    fontSize: 12,
-    background: bg,
-    color: fg,
-    border: `1px solid ${C.border}`
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep their own undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      e.preventDefault();
+      stepHistory(key === "y" || e.shiftKey ? "redo" : "undo");
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
   });
 
+  // Changes pulled from the sync server. They skip the undo stack; badges they
+  // earn are recorded quietly, as for an import.
+  const applySync = (updates) => {
+    const byProfile = new Map(updates.map((u) => [u.profileId, u]));
+    setProfiles((prev) =>
+      withBackfilledRecords(
+        prev.map((p) => {
+          const u = byProfile.get(p.id);
+          if (!u || (u.upserts.length === 0 && u.deletes.length === 0 && !u.journey)) return p;
+          return {
+            ...p,
+            entries: applyPull(p.entries, u),
+            settings: u.journey ? { ...p.settings, journey: u.journey } : p.settings
+          };
+        })
+      )
+    );
+    const count = updates.reduce((sum, u) => sum + u.upserts.length + u.deletes.length + (u.journey ? 1 : 0), 0);
+    if (count > 0) showToast(`Synced ${count} ${count === 1 ? "change" : "changes"} from another device.`);
+  };
+
+  // On phones the page scrolls under the fixed quick-add bar, so toasts ride
+  // along in the bar where its errors and undo stay in view.
+  const toastRegion = <Toast toast={toast} more={toasts.length - 1} onAction={stepHistory} onDismiss={dismissToast} />;
+
   return (
     <div style={{ background: C.bg, minHeight: "100vh" }}>
-      <div style={page}>
-        <div style={header}>
+      <main style={narrow ? { ...page, paddingBottom: 150 } : page}>
+        <div style={narrow ? headerNarrow : header}>
           <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
             <img
               src={lorMap}
               alt="Map of Middle-earth"
-              style={{ height: 200, width: "auto", borderRadius: 6 }}
+              style={{ height: narrow ? 64 : 200, width: "auto", borderRadius: 6 }}
             />
 
             {/* Adjust header title color here */}
-            <h2 style={{ ...title, color: "#d4af37" }}>
-              Dixon’s Journey to Mount Doom
-            </h2>
+            <h1 style={{ ...title, fontSize: "1.5em", color: C.heading }}>
+              {profile.name}’s Journey to {milestones[milestones.length - 1].name}
+            </h1>
           </div>
 
           <div style={{ fontSize: 20, color: C.muted }}>
             Total:{" "}
             <span style={{ color: C.ink, fontWeight: 800 }}>
-              {totalMiles.toFixed(1)}
+              {fmtDist(totalMiles, unit)}
             </span>{" "}
-            miles
+            {unit === "km" ? "kilometres" : "miles"}
           </div>
         </div>
 
-        {toast && <div style={toastStyle}>✨ {toast}</div>}
+        <div style={{ ...card, marginBottom: 12, padding: 12 }}>
+          <Profiles
+            profiles={profiles}
+            activeProfileId={profile.id}
+            onSelect={switchProfile}
+            onAdd={addProfile}
+            onRename={renameProfile}
+            onRemove={removeProfile}
+            showFellowship={showFellowship}
+            onToggleFellowship={() => setShowFellowship((v) => !v)}
+          />
+        </div>
+
+        {showFellowship && (
+          <div style={{ ...card, marginBottom: 12 }}>
+            <Fellowship
+              profiles={profiles}
+              activeProfileId={profile.id}
+              unit={unit}
+              goalMiles={shared.goalMiles ?? DEFAULT_JOURNEY.milestones[DEFAULT_JOURNEY.milestones.length - 1].miles}
+              onGoalMilesChange={(goalMiles) => setShared((prev) => ({ ...prev, goalMiles }))}
+            />
+          </div>
+        )}
 
-        <div style={grid}>
+        {!narrow && toastRegion}
+
+        <div style={narrow ? gridNarrow : grid}>
           {/* LEFT */}
           <div style={card}>
             <div style={label}>Current stage</div>
@@ -266,8 +436,8 @@ export default function MountDoomTracker() {
 
             <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 14, marginTop: 14 }}>
               <div>
-                <div style={label}>Miles to next</div>
-                <div style={big}>{nextMilestone ? milesToNext.toFixed(1) : "0.0"}</div>
+                <div style={label}>{unit === "km" ? "Kilometres" : "Miles"} to next</div>
+                <div style={big}>{fmtDist(milesToNext, unit)}</div>
                 <div style={{ fontSize: 13, color: C.muted }}>
                   {nextMilestone ? (
                     <>
@@ -282,15 +452,18 @@ export default function MountDoomTracker() {
                 <div style={label}>Reward (current stage)</div>
                 <div style={{ fontSize: 15, marginTop: 10, color: C.accent2 }}>
                   <em>{currentMilestone.reward}</em>
+                  {claims[currentMilestone.id] && <span style={{ color: C.muted }}> · claimed</span>}
                 </div>
               </div>
             </div>
                     
             <div style={{ marginTop: 14 }}>
               <div style={label}>Progress to next milestone</div>
-              <div style={barWrap}>
-                <div style={barFill} />
-              </div>
+              <ProgressBar
+                value={progressToNext}
+                label="Progress to next milestone"
+                valueText={nextMilestone ? `${progressToNext.toFixed(0)}% of the way to ${nextMilestone.name}` : "Journey complete"}
+              />
               <div style={{ fontSize: 13, color: C.muted, marginTop: 8 }}>
                 {nextMilestone ? `${progressToNext.toFixed(0)}% of this leg` : "100%"}
               </div>
@@ -298,40 +471,16 @@ export default function MountDoomTracker() {
 
             <div style={{ marginTop: 16 }}>
               <div style={label}>Add entry</div>
-              <div style={row}>
-                <input
-                  style={inputStyle}
-                  type="number"
-                  placeholder="Miles walked"
-                  value={inputMiles}
-                  onChange={(e) => setInputMiles(e.target.value)}
-                />
-                <button style={btnPrimary} onClick={addMiles}>Add</button>
-              </div>
-
-              <div style={row}>
-                <button style={btnDanger} onClick={deleteLast} disabled={!lastEntry}>Delete last</button>
-                <button style={btnGhost} onClick={startEditLast} disabled={!lastEntry || isEditingLast}>Edit last</button>
-
-                {lastEntry && !isEditingLast && (
-                  <span style={{ fontSize: 13, color: C.muted }}>
-                    Last: <strong style={{ color: C.ink }}>{lastEntry.miles}</strong> mi • {fmtDateTime(lastEntry.date)}
-                    {lastEntry.edited ? " (edited)" : ""}
-                  </span>
-                )}
-              </div>
+              {narrow ? (
+                <div style={{ fontSize: 13, color: C.muted, marginTop: 6 }}>Log a walk from the bar at the bottom of the screen.</div>
+              ) : (
+                <AddEntry unit={unit} onAdd={addMiles} />
+              )}
 
-              {isEditingLast && (
-                <div style={row}>
-                  <input
-                    style={inputStyle}
-                    type="number"
-                    value={editMiles}
-                    onChange={(e) => setEditMiles(e.target.value)}
-                    placeholder="New miles for last entry"
-                  />
-                  <button style={btnPrimary} onClick={saveEditLast}>Save</button>
-                  <button style={btnGhost} onClick={cancelEditLast}>Cancel</button>
+              {lastEntry && (
+                <div style={{ fontSize: 13, color: C.muted, marginTop: 10 }}>
+                  Last: <strong style={{ color: C.ink }}>{fmtDist(lastEntry.miles, unit, 2)}</strong> {unit} • {fmtDateTime(lastEntry.date)}
+                  {lastEntry.edited ? " (edited)" : ""}
                 </div>
               )}
             </div>
@@ -341,42 +490,125 @@ export default function MountDoomTracker() {
           <div style={card}>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
               <div style={{ fontWeight: 900, letterSpacing: 0.2 }}>Milestones</div>
-              <div style={{ fontSize: 12, color: C.muted }}>Miles left</div>
+              <div style={{ fontSize: 12, color: C.muted }}>{unit === "km" ? "Km" : "Miles"} left</div>
             </div>
 
-            <div style={{ marginTop: 12 }}>
-              <ul style={list}>
-                {MILESTONES.map((m) => {
-                  const left = Math.max(0, m.miles - totalMiles);
-                  const unlocked = left === 0;
-                  const isCurrent = currentMilestone.id === m.id;
-
-                  return (
-                    <li key={m.id} style={milestoneRow(isCurrent)}>
-                      <div style={{ display: "flex", justifyContent: "space-between", gap: 10, alignItems: "center" }}>
-                        <div style={{ fontWeight: isCurrent ? 900 : 600 }}>
-                          {unlocked ? "✅" : "🔒"} {m.name}
-                        </div>
-                        <div style={{ fontVariantNumeric: "tabular-nums", fontWeight: 900, color: unlocked ? C.muted : C.ink }}>
-                          {left.toFixed(1)} mi
-                        </div>
-                      </div>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10, marginTop: 6 }}>
+              <div style={{ fontSize: 13, color: C.muted }}>{journey.name}</div>
+              <button style={btnGhost} onClick={() => setIsEditingJourney(true)} disabled={isEditingJourney}>
+                Edit
+              </button>
+            </div>
 
-                      <div style={{ display: "flex", justifyContent: "space-between", gap: 10, marginTop: 6, alignItems: "center" }}>
-                        <div style={{ fontSize: 12, color: C.muted }}>
-                          Reward: <span style={{ color: C.accent2 }}>{m.reward}</span>
-                        </div>
-                        {isCurrent && <span style={pill("rgba(31,91,77,0.14)", C.accent)}>Current</span>}
-                        {!isCurrent && unlocked && <span style={pill("rgba(176,141,42,0.14)", C.gold)}>Unlocked</span>}
-                      </div>
-                    </li>
-                  );
-                })}
-              </ul>
+            <div style={{ marginTop: 12 }}>
+              <MilestoneList
+                milestones={milestones}
+                totalMiles={totalMiles}
+                currentId={currentMilestone.id}
+                nextId={nextMilestone?.id}
+                claims={claims}
+                reachedAt={reachedAt}
+                unit={unit}
+                collapsible={narrow}
+              />
             </div>
           </div>
         </div>
 
+        {isEditingJourney && (
+          <div style={{ ...card, marginTop: 16 }}>
+            <JourneyEditor
+              journey={journey}
+              unit={unit}
+              onSave={(next) => {
+                updateSettings({ journey: next });
+                setIsEditingJourney(false);
+                clearToasts();
+              }}
+              onCancel={() => setIsEditingJourney(false)}
+            />
+          </div>
+        )}
+
+        {/* PLAN */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <TrainingPlan plan={plan} entries={entries} unit={unit} onChange={updateSettings} />
+        </div>
+
+        {/* FORECAST */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <Forecast
+            milestones={milestones}
+            entries={entries}
+            totalMiles={totalMiles}
+            unit={unit}
+            goalDate={settings.goalDate || null}
+            onGoalDateChange={(goalDate) => updateSettings({ goalDate })}
+          />
+        </div>
+
+        {/* MAP */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 12 }}>
+            <div style={{ fontWeight: 900 }}>Journey Map</div>
+            <div style={{ fontSize: 12, color: C.muted }}>Click a stop to see its event and reward</div>
+          </div>
+          <RouteMap milestones={milestones} totalMiles={totalMiles} unit={unit} />
+        </div>
+
+        {/* REWARDS */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <Rewards
+            milestones={milestones}
+            totalMiles={totalMiles}
+            claims={claims}
+            unit={unit}
+            onClaimsChange={(rewards) => updateSettings({ rewards })}
+            onRewardChange={(id, reward) => updateSettings({ journey: withReward(journey, id, reward) })}
+          />
+        </div>
+
+        {/* JOURNAL */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <Journal
+            passages={story}
+            totalMiles={totalMiles}
+            readIds={settings.storyRead ?? []}
+            unit={unit}
+            onMarkRead={(ids) => setSettings((prev) => ({ ...prev, storyRead: [...new Set([...(prev.storyRead ?? []), ...ids])] }))}
+          />
+        </div>
+
+        {/* ACHIEVEMENTS */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <Achievements entries={entries} unlocked={settings.badges ?? []} />
+        </div>
+
+        {/* STATS */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <Stats entries={entries} milestones={milestones} unit={unit} />
+        </div>
+
+        {/* THEME */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <ThemePicker />
+        </div>
+
+        {/* UNITS */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <UnitSettings prefs={prefs} onChange={updateSettings} />
+        </div>
+
+        {/* REMINDERS */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <Reminders
+            reminder={reminder}
+            entries={entries}
+            message={reminderText}
+            onChange={(next) => updateSettings({ reminder: next })}
+          />
+        </div>
+
         {/* LOG */}
         <div style={{ ...card, marginTop: 16 }}>
           <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
@@ -396,29 +628,118 @@ export default function MountDoomTracker() {
                   style={{
                     display: "flex",
                     justifyContent: "space-between",
+                    alignItems: "center",
+                    flexWrap: "wrap",
                     gap: 10,
                     padding: "10px 10px",
                     borderRadius: 12,
                     border: `1px solid ${C.border}`,
-                    background: "rgba(255,255,255,0.65)",
+                    background: C.surface,
                     marginBottom: 10
                   }}
                 >
-                  <div style={{ fontWeight: 800 }}>
-                    {e.miles} <span style={{ fontWeight: 600, color: C.muted }}>mi</span>
-                    {e.edited ? (
-                      <span style={{ marginLeft: 8, ...pill("rgba(122,45,45,0.10)", C.danger) }}>
-                        edited
-                      </span>
-                    ) : null}
-                  </div>
-                  <div style={{ fontSize: 13, color: C.muted }}>{fmtDateTime(e.date)}</div>
+                  {editingId === e.id ? (
+                    <form
+                      style={{ ...row, marginTop: 0 }}
+                      aria-label={`Edit the walk from ${fmtDateTime(e.date)}`}
+                      onSubmit={(ev) => {
+                        ev.preventDefault();
+                        saveEdit();
+                      }}
+                      onKeyDown={(ev) => {
+                        if (ev.key === "Escape") finishEdit();
+                      }}
+                    >
+                      <input
+                        style={inputStyle}
+                        type="number"
+                        step="any"
+                        inputMode="decimal"
+                        autoFocus
+                        aria-label={unit === "km" ? "Kilometres" : "Miles"}
+                        value={editMiles}
+                        onChange={(ev) => setEditMiles(ev.target.value)}
+                        placeholder={unit === "km" ? "Km" : "Miles"}
+                      />
+                      <input
+                        style={inputStyle}
+                        type="datetime-local"
+                        aria-label="When you walked"
+                        max={toLocalInput(new Date().toISOString())}
+                        value={editDate}
+                        onChange={(ev) => setEditDate(ev.target.value)}
+                      />
+                      <button type="submit" style={{ ...btnPrimary, ...touchTarget }}>Save</button>
+                      <button type="button" style={{ ...btnGhost, ...touchTarget }} onClick={finishEdit}>Cancel</button>
+                    </form>
+                  ) : (
+                    <>
+                      <div style={{ fontWeight: 800 }}>
+                        {fmtDist(e.miles, unit, 2)} <span style={{ fontWeight: 600, color: C.muted }}>{unit}</span>
+                        {describeRaw(e.raw) && (
+                          <span style={{ fontWeight: 600, fontSize: 13, color: C.muted }}> · {describeRaw(e.raw)}</span>
+                        )}
+                        {e.edited ? (
+                          <span style={{ marginLeft: 8, ...pill(C.dangerTint, C.danger) }}>
+                            edited
+                          </span>
+                        ) : null}
+                      </div>
+                      <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+                        <div style={{ fontSize: 13, color: C.muted }}>{fmtDateTime(e.date)}</div>
+                        <button
+                          ref={(el) => {
+                            if (el) editButtonsRef.current.set(e.id, el);
+                            else editButtonsRef.current.delete(e.id);
+                          }}
+                          style={{ ...btnGhost, ...touchTarget }}
+                          onClick={() => startEdit(e)}
+                          aria-label={`Edit ${fmtDist(e.miles, unit, 2)} ${unit} from ${fmtDateTime(e.date)}`}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          style={{ ...btnDanger, ...touchTarget }}
+                          onClick={() => deleteEntry(e.id)}
+                          aria-label={`Delete ${fmtDist(e.miles, unit, 2)} ${unit} from ${fmtDateTime(e.date)}`}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </>
+                  )}
                 </li>
               ))}
             </ul>
           )}
         </div>
-      </div>
+
+        {/* DATA */}
+        <div style={{ ...card, marginTop: 16 }}>
+          <ActivityImport
+            entries={entries}
+            milestones={milestones}
+            totalMiles={totalMiles}
+            unit={unit}
+            onImport={importWalks}
+          />
+        </div>
+
+        <div style={{ ...card, marginTop: 16 }}>
+          <DataTransfer state={{ activeProfileId: profile.id, profiles, shared }} unit={unit} onImport={importState} />
+        </div>
+
+        <div style={{ ...card, marginTop: 16 }}>
+          <SyncSettings store={store} state={{ activeProfileId: profile.id, profiles, shared }} onPull={applySync} />
+        </div>
+      </main>
+
+      {narrow && (
+        <div style={quickAddBar}>
+          {toastRegion}
+          <AddEntry unit={unit} compact onAdd={addMiles} />
+        </div>
+      )}
     </div>
   );
 }
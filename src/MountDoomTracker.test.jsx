@@ -0,0 +1,93 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import MountDoomTracker from "./MountDoomTracker";
+import { makeProfile } from "./storage";
+import { createStore } from "./store";
+import { stubMatchMedia, violations } from "./testDom";
+import { walk } from "./testFixtures";
+
+// jsdom never loads images, so the map picture itself isn't needed.
+vi.mock("./mapImage", () => ({ default: "lor-map.jpeg" }));
+
+// What openStorage() would resolve to, minus the browser storage.
+function trackerStorage(entries = []) {
+  const profile = makeProfile("Frodo", { entries });
+  const state = { activeProfileId: profile.id, profiles: [profile], shared: {} };
+  return { state, notice: null, store: createStore({ name: "test", save: async () => {} }, state) };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  stubMatchMedia();
+});
+
+afterEach(cleanup);
+
+describe("MountDoomTracker", () => {
+  it("has no axe violations, with the entry log edit form open", async () => {
+    const user = userEvent.setup();
+    const { container } = render(<MountDoomTracker storage={trackerStorage([walk("a", 3, "01"), walk("b", 2, "02")])} />);
+    expect(await violations(container)).toEqual([]);
+
+    await user.click(screen.getByRole("button", { name: /^Edit 3 mi from/ }));
+    expect(screen.getByRole("form", { name: /^Edit the walk from/ })).toBeTruthy();
+    expect(await violations(container)).toEqual([]);
+  }, 30_000); // axe over the whole page is slow
+
+  it("focuses the edit form, then returns focus to the entry's Edit button", async () => {
+    const user = userEvent.setup();
+    render(<MountDoomTracker storage={trackerStorage([walk("a", 3, "01"), walk("b", 2, "02")])} />);
+    const editButton = () => screen.getByRole("button", { name: /^Edit 3 mi from/ });
+
+    // Cancel
+    await user.click(editButton());
+    expect(document.activeElement).toBe(screen.getByRole("spinbutton", { name: "Miles" }));
+    await user.click(screen.getByRole("button", { name: "Cancel" }));
+    expect(document.activeElement).toBe(editButton());
+
+    // Escape
+    await user.click(editButton());
+    await user.keyboard("{Escape}");
+    expect(screen.queryByRole("form", { name: /^Edit the walk from/ })).toBeNull();
+    expect(document.activeElement).toBe(editButton());
+
+    // Save, with Enter; the button is named after the new distance.
+    await user.click(editButton());
+    const miles = screen.getByRole("spinbutton", { name: "Miles" });
+    await user.clear(miles);
+    await user.type(miles, "4{Enter}");
+    const edited = screen.getByRole("button", { name: /^Edit 4 mi from/ });
+    expect(document.activeElement).toBe(edited);
+    expect(within(edited.closest("li")).getByText("edited")).toBeTruthy();
+  });
+});
+
+describe("phone layout", () => {
+  it("shows quick-add errors in the fixed bar, not up the page", async () => {
+    stubMatchMedia(true);
+    const user = userEvent.setup();
+    render(<MountDoomTracker storage={trackerStorage()} />);
+
+    const bar = screen.getByRole("form", { name: "Add a walk" }).parentElement;
+    await user.click(within(bar).getByRole("button", { name: "Add" }));
+    expect(within(bar).getByRole("status").textContent).toContain("Enter how far");
+    expect(screen.getAllByRole("status")).toHaveLength(1);
+  });
+});
+
+describe("toasts", () => {
+  it("keeps the load notice when a stop is locked again", async () => {
+    const user = userEvent.setup();
+    const storage = { ...trackerStorage([walk("a", 130, "01")]), notice: "Imported 1 entries from an older version of the tracker." };
+    render(<MountDoomTracker storage={storage} />);
+
+    await user.click(screen.getByRole("button", { name: /^Delete 130 mi from/ }));
+    const status = screen.getByRole("status");
+    expect(status.textContent).toContain("Imported 1 entries");
+    // The undo toast and the re-lock message wait behind it.
+    expect(status.textContent).toContain("+2 more");
+  });
+});
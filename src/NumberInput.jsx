@@ -0,0 +1,29 @@
+import React, { useState } from "react";
+
+// A number input that keeps what's typed as a string and only hands a number
+// to onCommit on blur or Enter, so clearing the field to retype doesn't snap
+// it to the minimum. Empty or non-numeric text is dropped and the value shown
+// again.
+export default function NumberInput({ value, onCommit, ...props }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const n = Number(draft);
+    if (draft.trim() !== "" && Number.isFinite(n)) onCommit(n);
+    setDraft(null);
+  };
+
+  return (
+    <input
+      {...props}
+      type="number"
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+      }}
+    />
+  );
+}
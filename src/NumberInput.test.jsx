@@ -0,0 +1,56 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { cleanup, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import NumberInput from "./NumberInput";
+
+afterEach(cleanup);
+
+describe("NumberInput", () => {
+  it("lets the field be cleared and retyped before committing", async () => {
+    const user = userEvent.setup();
+    const onCommit = vi.fn();
+    render(<NumberInput aria-label="Cap" value={5} onCommit={onCommit} />);
+
+    const input = screen.getByRole("spinbutton", { name: "Cap" });
+    await user.clear(input);
+    await user.type(input, "6");
+    expect(onCommit).not.toHaveBeenCalled();
+    expect(input.value).toBe("6");
+
+    await user.tab();
+    expect(onCommit).toHaveBeenCalledExactlyOnceWith(6);
+  });
+
+  it("commits on Enter", async () => {
+    const user = userEvent.setup();
+    const onCommit = vi.fn();
+    render(<NumberInput aria-label="Cap" value={5} onCommit={onCommit} />);
+
+    await user.type(screen.getByRole("spinbutton", { name: "Cap" }), "{Backspace}3{Enter}");
+    expect(onCommit).toHaveBeenCalledExactlyOnceWith(3);
+  });
+
+  it("drops an empty field and shows the value again", async () => {
+    const user = userEvent.setup();
+    const onCommit = vi.fn();
+    render(<NumberInput aria-label="Cap" value={5} onCommit={onCommit} />);
+
+    const input = screen.getByRole("spinbutton", { name: "Cap" });
+    await user.clear(input);
+    await user.tab();
+    expect(onCommit).not.toHaveBeenCalled();
+    expect(input.value).toBe("5");
+  });
+
+  it("doesn't commit when the field is only focused and left", async () => {
+    const user = userEvent.setup();
+    const onCommit = vi.fn();
+    render(<NumberInput aria-label="Cap" value={5} onCommit={onCommit} />);
+
+    await user.click(screen.getByRole("spinbutton", { name: "Cap" }));
+    await user.tab();
+    expect(onCommit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import { C, btnDanger, btnGhost, btnPrimary, inputStyle, label, row } from "./ui";
+
+export default function Profiles({ profiles, activeProfileId, onSelect, onAdd, onRename, onRemove, showFellowship, onToggleFellowship }) {
+  const [mode, setMode] = useState(null); // "add" | "rename" | null
+  const [name, setName] = useState("");
+
+  const active = profiles.find((p) => p.id === activeProfileId);
+
+  const open = (next) => {
+    setMode(next);
+    setName(next === "rename" ? active.name : "");
+  };
+
+  const close = () => {
+    setMode(null);
+    setName("");
+  };
+
+  const submit = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (mode === "add") onAdd(trimmed);
+    else onRename(activeProfileId, trimmed);
+    close();
+  };
+
+  const remove = () => {
+    if (!confirm(`Remove ${active.name} and all of their entries?`)) return;
+    onRemove(activeProfileId);
+  };
+
+  return (
+    <div>
+      <div style={{ ...row, marginTop: 0 }}>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <span style={label}>Traveller</span>
+          <select style={inputStyle} value={activeProfileId} onChange={(e) => onSelect(e.target.value)}>
+            {profiles.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+        <button style={btnGhost} onClick={() => open("add")}>Add traveller</button>
+        <button style={btnGhost} onClick={() => open("rename")}>Rename</button>
+        <button style={btnDanger} onClick={remove} disabled={profiles.length <= 1}>Remove</button>
+        {profiles.length > 1 && (
+          <button style={showFellowship ? btnPrimary : btnGhost} onClick={onToggleFellowship}>
+            Fellowship
+          </button>
+        )}
+      </div>
+
+      {mode && (
+        <div style={row}>
+          <input
+            style={inputStyle}
+            autoFocus
+            placeholder={mode === "add" ? "New traveller’s name" : "Name"}
+            aria-label={mode === "add" ? "New traveller’s name" : "Traveller’s name"}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") submit();
+              if (e.key === "Escape") close();
+            }}
+          />
+          <button style={btnPrimary} onClick={submit} disabled={!name.trim()}>
+            {mode === "add" ? "Add" : "Save"}
+          </button>
+          <button style={btnGhost} onClick={close}>Cancel</button>
+          {mode === "add" && (
+            <span style={{ fontSize: 13, color: C.muted }}>Each traveller keeps their own entries and journey.</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
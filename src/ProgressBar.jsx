@@ -0,0 +1,20 @@
+import React from "react";
+import { C, barWrap } from "./ui";
+
+// `value` is a percentage; `valueText` is what a screen reader announces.
+export default function ProgressBar({ value, label, valueText }) {
+  const pct = Math.min(100, Math.max(0, value));
+  return (
+    <div
+      style={barWrap}
+      role="progressbar"
+      aria-label={label}
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={Math.round(pct)}
+      aria-valuetext={valueText}
+    >
+      <div style={{ width: `${pct}%`, background: `linear-gradient(90deg, ${C.accent}, ${C.gold})`, height: "100%" }} />
+    </div>
+  );
+}
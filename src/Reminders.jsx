@@ -0,0 +1,135 @@
+import React, { useEffect, useEffectEvent, useState } from "react";
+import { localDateISO } from "./dates";
+import { nextReminderAt, shouldRemind } from "./reminders";
+import { C, btnGhost, inputStyle, label, row } from "./ui";
+
+const NOTIFY_OPTIONS = { icon: "/icon-192.png", tag: "daily-reminder" };
+
+// Some browsers (Chrome on Android) only allow notifications through a
+// service worker and throw from the constructor, so this can reject.
+async function showNow({ title, body }) {
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (registration) return registration.showNotification(title, { ...NOTIFY_OPTIONS, body });
+  new Notification(title, { ...NOTIFY_OPTIONS, body });
+}
+
+// Periodic background sync lets the service worker check while the app is
+// closed. Only some browsers have it, and they may still decline.
+function registerBackgroundCheck() {
+  navigator.serviceWorker?.ready
+    .then((registration) => registration.periodicSync?.register("daily-reminder", { minInterval: 60 * 60 * 1000 }))
+    .catch(() => {});
+}
+
+export default function Reminders({ reminder, entries, message, onChange }) {
+  const supported = typeof Notification !== "undefined";
+  const [permission, setPermission] = useState(() => (supported ? Notification.permission : "unsupported"));
+  const [error, setError] = useState(null);
+  const lastLoggedDay = entries.length > 0 ? localDateISO(entries[entries.length - 1].date) : null;
+  const { enabled, time, onlyIfNotLogged } = reminder;
+
+  // Keep the service worker's copy current for when the app is closed.
+  useEffect(() => {
+    navigator.serviceWorker?.controller?.postMessage({
+      type: "reminder",
+      state: { reminder: { enabled, time, onlyIfNotLogged }, lastLoggedDay, message: { title: message.title, body: message.body } }
+    });
+  }, [enabled, time, onlyIfNotLogged, lastLoggedDay, message.title, message.body]);
+
+  const notify = () =>
+    showNow(message).then(
+      () => setError(null),
+      (err) => setError(`This browser wouldn’t show the notification${err?.message ? ` (${err.message})` : ""}.`)
+    );
+
+  const remind = useEffectEvent(() => {
+    if (!shouldRemind(reminder, entries)) return;
+    const worker = navigator.serviceWorker?.controller;
+    if (worker) worker.postMessage({ type: "reminder-due" });
+    else notify();
+  });
+
+  useEffect(() => {
+    if (!enabled || permission !== "granted") return;
+    let timer;
+    const schedule = () => {
+      timer = setTimeout(() => {
+        remind();
+        schedule();
+      }, nextReminderAt({ time }).getTime() - Date.now());
+    };
+    schedule();
+    return () => clearTimeout(timer);
+  }, [enabled, time, permission]);
+
+  const setEnabled = async (next) => {
+    if (next && permission !== "granted") {
+      const result = await Notification.requestPermission();
+      setPermission(result);
+      if (result !== "granted") return;
+    }
+    onChange({ ...reminder, enabled: next });
+    if (next) registerBackgroundCheck();
+  };
+
+  const fieldLabel = { ...label, display: "block", marginBottom: 4 };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Reminders</div>
+        <label style={{ fontSize: 13, display: "flex", gap: 6, alignItems: "center" }}>
+          <input
+            type="checkbox"
+            checked={enabled}
+            disabled={!supported || permission === "denied"}
+            onChange={(e) => setEnabled(e.target.checked)}
+          />
+          Daily nudge
+        </label>
+      </div>
+
+      {!supported ? (
+        <p style={{ fontSize: 14, color: C.muted, marginTop: 10, marginBottom: 0 }}>
+          This browser can’t show notifications.
+        </p>
+      ) : permission === "denied" ? (
+        <p style={{ fontSize: 14, color: C.muted, marginTop: 10, marginBottom: 0 }}>
+          Notifications are blocked for this site. Allow them in your browser settings to get reminders.
+        </p>
+      ) : (
+        <>
+          <div style={row}>
+            <label>
+              <span style={fieldLabel}>Remind me at</span>
+              <input
+                style={inputStyle}
+                type="time"
+                value={time}
+                onChange={(e) => e.target.value && onChange({ ...reminder, time: e.target.value })}
+              />
+            </label>
+            <label style={{ fontSize: 13, display: "flex", gap: 6, alignItems: "center", alignSelf: "flex-end", paddingBottom: 10 }}>
+              <input
+                type="checkbox"
+                checked={onlyIfNotLogged}
+                onChange={(e) => onChange({ ...reminder, onlyIfNotLogged: e.target.checked })}
+              />
+              Only if I haven’t logged a walk that day
+            </label>
+            {permission === "granted" && (
+              <button style={{ ...btnGhost, alignSelf: "flex-end" }} onClick={notify}>
+                Send a test
+              </button>
+            )}
+          </div>
+          <div style={{ fontSize: 12, color: C.muted, marginTop: 8 }}>
+            “{message.body}” With the tracker closed, reminders arrive only where the browser allows background checks
+            (e.g. an installed app in Chrome).
+          </div>
+          {error && <div style={{ fontSize: 13, color: C.danger, marginTop: 8 }}>{error}</div>}
+        </>
+      )}
+    </div>
+  );
+}
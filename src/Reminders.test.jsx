@@ -0,0 +1,39 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { cleanup, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Reminders from "./Reminders";
+import { DEFAULT_REMINDER } from "./reminders";
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+describe("Reminders", () => {
+  it("reports a notification the browser refuses to show", async () => {
+    // Chrome on Android: no page-level notifications without a service worker.
+    vi.stubGlobal(
+      "Notification",
+      Object.assign(
+        function Notification() {
+          throw new TypeError("Illegal constructor");
+        },
+        { permission: "granted" }
+      )
+    );
+    const user = userEvent.setup();
+    render(
+      <Reminders
+        reminder={DEFAULT_REMINDER}
+        entries={[]}
+        message={{ title: "Time for a walk?", body: "12 mi to Bree." }}
+        onChange={() => {}}
+      />
+    );
+
+    await user.click(screen.getByRole("button", { name: "Send a test" }));
+    expect(await screen.findByText(/wouldn’t show the notification \(Illegal constructor\)/)).toBeTruthy();
+  });
+});
@@ -0,0 +1,190 @@
+import React, { useRef, useState } from "react";
+import { claimReward, rewardsOwed, unclaimReward } from "./rewards";
+import { fmtDay, localDateISO } from "./dates";
+import { C, btnDanger, btnGhost, btnPrimary, inputStyle, label, list, milestoneRow, pill, row } from "./ui";
+import { fmtDist } from "./units";
+
+const PHOTO_MAX_PX = 480;
+
+// Photos are stored inline with the profile, so keep them small.
+async function shrinkPhoto(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, PHOTO_MAX_PX / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+export default function Rewards({ milestones, totalMiles, claims, unit = "mi", onClaimsChange, onRewardChange }) {
+  // { mode: "claim", id, claimedAt, note, photo } or { mode: "edit", id, reward }
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  const photoRef = useRef(null);
+
+  const owed = rewardsOwed(milestones, totalMiles, claims);
+  const today = localDateISO();
+  const fieldLabel = { ...label, display: "block", marginBottom: 4 };
+
+  const startClaim = (m) => {
+    setError(null);
+    setDraft({ mode: "claim", id: m.id, claimedAt: today, note: "", photo: null });
+  };
+
+  const startEdit = (m) => {
+    setError(null);
+    setDraft({ mode: "edit", id: m.id, reward: m.reward ?? "" });
+  };
+
+  const attachPhoto = async (file) => {
+    if (!file) return;
+    try {
+      const photo = await shrinkPhoto(file);
+      setDraft((d) => (d ? { ...d, photo } : d));
+    } catch {
+      setError("That file couldn’t be read as an image.");
+    } finally {
+      if (photoRef.current) photoRef.current.value = "";
+    }
+  };
+
+  const saveDraft = () => {
+    if (draft.mode === "edit") {
+      onRewardChange(draft.id, draft.reward);
+    } else {
+      if (!draft.claimedAt || draft.claimedAt > today) return setError("Pick a claim date that isn’t in the future.");
+      onClaimsChange(claimReward(claims, draft.id, draft));
+    }
+    setDraft(null);
+    setError(null);
+  };
+
+  const claimForm = (
+    <div>
+      <div style={row}>
+        <label>
+          <span style={fieldLabel}>Claimed on</span>
+          <input
+            style={inputStyle}
+            type="date"
+            max={today}
+            value={draft?.claimedAt ?? ""}
+            onChange={(e) => setDraft((d) => ({ ...d, claimedAt: e.target.value }))}
+          />
+        </label>
+        <label style={{ flex: 1, minWidth: 200 }}>
+          <span style={fieldLabel}>Note (optional)</span>
+          <input
+            style={{ ...inputStyle, width: "100%", boxSizing: "border-box" }}
+            value={draft?.note ?? ""}
+            placeholder="How did you celebrate?"
+            onChange={(e) => setDraft((d) => ({ ...d, note: e.target.value }))}
+          />
+        </label>
+      </div>
+      <div style={row}>
+        <button style={btnGhost} onClick={() => photoRef.current?.click()}>
+          {draft?.photo ? "Change photo…" : "Add a photo…"}
+        </button>
+        <input
+          ref={photoRef}
+          type="file"
+          accept="image/*"
+          style={{ display: "none" }}
+          onChange={(e) => attachPhoto(e.target.files[0])}
+        />
+        {draft?.photo && (
+          <>
+            <img src={draft.photo} alt="Photo to attach" style={{ height: 48, borderRadius: 8 }} />
+            <button style={btnGhost} onClick={() => setDraft((d) => ({ ...d, photo: null }))}>Remove photo</button>
+          </>
+        )}
+        <button style={btnPrimary} onClick={saveDraft}>Mark claimed</button>
+        <button style={btnGhost} onClick={() => setDraft(null)}>Cancel</button>
+      </div>
+    </div>
+  );
+
+  const editForm = (
+    <div style={row}>
+      <input
+        style={{ ...inputStyle, flex: 1, minWidth: 200 }}
+        value={draft?.reward ?? ""}
+        placeholder="Reward"
+        aria-label={`Reward for ${milestones.find((m) => m.id === draft?.id)?.name ?? "this stop"}`}
+        onChange={(e) => setDraft((d) => ({ ...d, reward: e.target.value }))}
+      />
+      <button style={btnPrimary} onClick={saveDraft}>Save</button>
+      <button style={btnGhost} onClick={() => setDraft(null)}>Cancel</button>
+    </div>
+  );
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Rewards</div>
+        <div style={{ fontSize: 12, color: C.muted }}>
+          {owed.length === 0 ? "Nothing owed" : `${owed.length} ${owed.length === 1 ? "reward" : "rewards"} owed`}
+        </div>
+      </div>
+
+      {owed.length > 0 && (
+        <div style={{ ...row, fontSize: 13 }}>
+          <span style={{ color: C.muted }}>Owed:</span>
+          {owed.map((m) => (
+            <span key={m.id} style={pill(C.goldTint, C.gold)}>{m.reward}</span>
+          ))}
+        </div>
+      )}
+
+      <ul style={{ ...list, marginTop: 12 }}>
+        {milestones.map((m) => {
+          const claim = claims[m.id];
+          const reached = m.miles <= totalMiles;
+          const isOpen = draft?.id === m.id;
+          return (
+            <li key={m.id} style={milestoneRow(isOpen)}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                <div>
+                  <div style={{ fontWeight: 800 }}>{m.name}</div>
+                  <div style={{ fontSize: 13, color: C.accent2 }}>{m.reward || <span style={{ color: C.muted }}>No reward set</span>}</div>
+                </div>
+                <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {claim && <span style={pill(C.accentTint, C.accent)}>Claimed {fmtDay(claim.claimedAt)}</span>}
+                  {!claim && reached && m.reward && <span style={pill(C.goldTint, C.gold)}>Owed</span>}
+                  {!reached && (
+                    <span style={{ fontSize: 12, color: C.muted }}>
+                      🔒 {fmtDist(m.miles - totalMiles, unit)} {unit} to go
+                    </span>
+                  )}
+                  {!isOpen && (
+                    <button style={btnGhost} onClick={() => startEdit(m)}>Edit</button>
+                  )}
+                  {!isOpen && !claim && reached && m.reward && (
+                    <button style={btnPrimary} onClick={() => startClaim(m)}>Claim</button>
+                  )}
+                  {!isOpen && claim && (
+                    <button style={btnDanger} onClick={() => onClaimsChange(unclaimReward(claims, m.id))}>Unclaim</button>
+                  )}
+                </div>
+              </div>
+
+              {claim && !isOpen && (claim.note || claim.photo) && (
+                <div style={{ display: "flex", gap: 10, alignItems: "center", marginTop: 8 }}>
+                  {claim.photo && <img src={claim.photo} alt={`Claimed reward: ${m.reward}`} style={{ height: 64, borderRadius: 8 }} />}
+                  {claim.note && <div style={{ fontSize: 13 }}>{claim.note}</div>}
+                </div>
+              )}
+
+              {isOpen && (draft.mode === "claim" ? claimForm : editForm)}
+            </li>
+          );
+        })}
+      </ul>
+
+      {error && <div style={{ fontSize: 13, color: C.danger, marginTop: 10 }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import lorMap from "./mapImage";
+import { C } from "./ui";
+import { fmtDist } from "./units";
+
+// Map coordinates are percentages of the image (x from the left, y from the top).
+function routePosition(milestones, miles) {
+  const stops = milestones.filter((m) => m.x != null && m.y != null);
+  if (stops.length === 0) return null;
+  if (miles <= stops[0].miles) return { x: stops[0].x, y: stops[0].y };
+
+  for (let i = 1; i < stops.length; i++) {
+    const a = stops[i - 1];
+    const b = stops[i];
+    if (miles < b.miles) {
+      const t = (miles - a.miles) / Math.max(1, b.miles - a.miles);
+      return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+  }
+
+  const last = stops[stops.length - 1];
+  return { x: last.x, y: last.y };
+}
+
+export default function RouteMap({ milestones, totalMiles, unit = "mi" }) {
+  const [selectedId, setSelectedId] = useState(null);
+
+  const stops = milestones.filter((m) => m.x != null && m.y != null);
+  const you = routePosition(milestones, totalMiles);
+  const selected = stops.find((m) => m.id === selectedId) || null;
+
+  const points = stops.map((m) => `${m.x},${m.y}`).join(" ");
+  const walked = stops.filter((m) => m.miles <= totalMiles).map((m) => `${m.x},${m.y}`);
+  if (you) walked.push(`${you.x},${you.y}`);
+
+  const frame = { position: "relative", borderRadius: 12, overflow: "hidden", border: `1px solid ${C.border}` };
+  const popup = {
+    marginTop: 12,
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: `1px solid ${C.border}`,
+    background: C.surface
+  };
+
+  return (
+    <div>
+      <div style={frame}>
+        <img src={lorMap} alt="Map of Middle-earth" style={{ display: "block", width: "100%", height: "auto" }} />
+
+        <svg
+          viewBox="0 0 100 100"
+          preserveAspectRatio="none"
+          style={{ position: "absolute", inset: 0, width: "100%", height: "100%" }}
+        >
+          <polyline
+            points={points}
+            fill="none"
+            stroke={C.route}
+            strokeWidth="0.6"
+            strokeDasharray="1.2 1"
+            vectorEffect="non-scaling-stroke"
+          />
+          {walked.length > 1 && (
+            <polyline
+              points={walked.join(" ")}
+              fill="none"
+              stroke={C.gold}
+              strokeWidth="3"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+        </svg>
+
+        {stops.map((m) => {
+          const unlocked = totalMiles >= m.miles;
+          const isSel = selectedId === m.id;
+          return (
+            <button
+              key={m.id}
+              title={`${m.name} (${fmtDist(m.miles, unit)} ${unit})`}
+              onClick={() => setSelectedId(isSel ? null : m.id)}
+              style={{
+                position: "absolute",
+                left: `${m.x}%`,
+                top: `${m.y}%`,
+                width: 14,
+                height: 14,
+                padding: 0,
+                transform: "translate(-50%, -50%)",
+                borderRadius: 999,
+                cursor: "pointer",
+                border: `2px solid ${isSel ? C.ink : "#fff"}`,
+                background: unlocked ? C.accent : C.surface
+              }}
+            />
+          );
+        })}
+
+        {you && (
+          <div
+            title={`You are here (${fmtDist(totalMiles, unit)} ${unit})`}
+            style={{
+              position: "absolute",
+              left: `${you.x}%`,
+              top: `${you.y}%`,
+              width: 20,
+              height: 20,
+              transform: "translate(-50%, -50%)",
+              borderRadius: 999,
+              background: C.gold,
+              border: "3px solid #fff",
+              boxShadow: `0 0 0 6px ${C.goldLine}`,
+              pointerEvents: "none"
+            }}
+          />
+        )}
+      </div>
+
+      {selected && (
+        <div style={popup}>
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 10, alignItems: "baseline" }}>
+            <strong>{selected.name}</strong>
+            <span style={{ fontSize: 12, color: C.muted }}>{fmtDist(selected.miles, unit)} {unit}</span>
+          </div>
+          <div style={{ fontSize: 13, color: C.muted, marginTop: 4 }}>{selected.event}</div>
+          <div style={{ fontSize: 13, marginTop: 4 }}>
+            Reward: <span style={{ color: C.accent2 }}>{selected.reward}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
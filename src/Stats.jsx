@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from "react";
+import { cumulativeByDay, dailyTotals, fillGaps, milestoneLegs, monthlyTotals, summarize, weeklyTotals } from "./stats";
+import { fmtDay } from "./dates";
+import { C, btnGhost, btnPrimary, label, pill, row } from "./ui";
+import { fmtDist } from "./units";
+
+const W = 600;
+const H = 160;
+const PAD = 24;
+
+const PERIODS = [
+  { id: "day", name: "Daily", totals: dailyTotals, limit: 60, fmt: (k) => fmtDay(k) },
+  { id: "week", name: "Weekly", totals: weeklyTotals, limit: 26, fmt: (k) => `Week of ${fmtDay(k)}` },
+  {
+    id: "month",
+    name: "Monthly",
+    totals: monthlyTotals,
+    limit: 36,
+    fmt: (k) => new Date(`${k}-01T00:00:00`).toLocaleDateString(undefined, { month: "short", year: "numeric" })
+  }
+];
+
+function BarChart({ data, fmt, unit }) {
+  const max = Math.max(1, ...data.map((d) => d.miles));
+  const slot = (W - PAD) / Math.max(1, data.length);
+  const barW = Math.max(1, slot * 0.75);
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", display: "block" }}>
+      <line x1={PAD} x2={W} y1={H - PAD} y2={H - PAD} stroke={C.border} />
+      <text x={0} y={12} fontSize="10" fill={C.muted}>{fmtDist(max, unit)}</text>
+      <text x={0} y={H - PAD} fontSize="10" fill={C.muted}>0</text>
+      {data.map((d, i) => {
+        const h = ((H - PAD * 1.5) * d.miles) / max;
+        return (
+          <rect
+            key={d.key}
+            x={PAD + i * slot + (slot - barW) / 2}
+            y={H - PAD - h}
+            width={barW}
+            height={h}
+            rx={Math.min(3, barW / 2)}
+            fill={C.accent}
+          >
+            <title>{`${fmt(d.key)}: ${fmtDist(d.miles, unit)} ${unit}`}</title>
+          </rect>
+        );
+      })}
+      {data.length > 0 && (
+        <>
+          <text x={PAD} y={H - 6} fontSize="10" fill={C.muted}>{fmt(data[0].key)}</text>
+          <text x={W} y={H - 6} fontSize="10" fill={C.muted} textAnchor="end">{fmt(data[data.length - 1].key)}</text>
+        </>
+      )}
+    </svg>
+  );
+}
+
+function CumulativeChart({ points, milestones, unit }) {
+  const goal = milestones[milestones.length - 1].miles;
+  const maxY = Math.max(1, points[points.length - 1]?.miles ?? 0);
+  // Only show stops up to the next one ahead so the line isn't squashed flat.
+  const nextStop = milestones.find((m) => m.miles > maxY);
+  const top = Math.min(goal, nextStop ? nextStop.miles : maxY) || 1;
+  const n = Math.max(1, points.length - 1);
+
+  const x = (i) => PAD + ((W - PAD) * i) / n;
+  const y = (miles) => H - PAD - ((H - PAD * 1.5) * Math.min(miles, top)) / top;
+  const path = points.map((p, i) => `${i === 0 ? "M" : "L"}${x(i)},${y(p.miles)}`).join(" ");
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", display: "block" }}>
+      <line x1={PAD} x2={W} y1={H - PAD} y2={H - PAD} stroke={C.border} />
+      {milestones
+        .filter((m) => m.miles > 0 && m.miles <= top)
+        .map((m) => (
+          <g key={m.id}>
+            <line x1={PAD} x2={W} y1={y(m.miles)} y2={y(m.miles)} stroke={C.gold} strokeDasharray="4 4" />
+            <text x={W} y={y(m.miles) - 3} fontSize="10" fill={C.accent2} textAnchor="end">
+              {m.name} · {fmtDist(m.miles, unit)}
+            </text>
+          </g>
+        ))}
+      <path d={path} fill="none" stroke={C.accent} strokeWidth="2.5" strokeLinejoin="round" />
+      {points.length > 0 && (
+        <>
+          <text x={PAD} y={H - 6} fontSize="10" fill={C.muted}>{fmtDay(points[0].key)}</text>
+          <text x={W} y={H - 6} fontSize="10" fill={C.muted} textAnchor="end">{fmtDay(points[points.length - 1].key)}</text>
+        </>
+      )}
+    </svg>
+  );
+}
+
+export default function Stats({ entries, milestones, unit = "mi" }) {
+  const [periodId, setPeriodId] = useState("week");
+  const period = PERIODS.find((p) => p.id === periodId);
+
+  const summary = useMemo(() => summarize(entries), [entries]);
+  const bars = useMemo(() => fillGaps(period.totals(entries), period.id).slice(-period.limit), [entries, period]);
+  const cumulative = useMemo(() => cumulativeByDay(entries), [entries]);
+  const legs = useMemo(() => milestoneLegs(milestones, entries).slice(1), [milestones, entries]);
+
+  const stat = pill(C.surface, C.ink);
+  const cell = { padding: "6px", borderBottom: `1px solid ${C.border}`, textAlign: "left" };
+  const sectionLabel = { ...label, marginTop: 16, marginBottom: 8 };
+
+  if (entries.length === 0) {
+    return (
+      <div>
+        <div style={{ fontWeight: 900 }}>Statistics</div>
+        <p style={{ fontSize: 14, color: C.muted, marginTop: 10, marginBottom: 0 }}>Log a walk to see your statistics.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ fontWeight: 900 }}>Statistics</div>
+
+      <div style={row}>
+        <span style={stat}>Best day: <strong>{fmtDist(summary.bestDay.miles, unit)}</strong> {unit} ({fmtDay(summary.bestDay.key)})</span>
+        <span style={stat}>Best week: <strong>{fmtDist(summary.bestWeek.miles, unit)}</strong> {unit} (week of {fmtDay(summary.bestWeek.key)})</span>
+        <span style={stat}>
+          Average: <strong>{fmtDist(summary.averagePerActiveDay, unit)}</strong> {unit} per active day ({summary.activeDays} days)
+        </span>
+      </div>
+
+      <div style={{ ...row, justifyContent: "space-between" }}>
+        <div style={label}>{unit === "km" ? "Kilometres" : "Miles"} per {period.id}</div>
+        <div style={{ display: "flex", gap: 6 }}>
+          {PERIODS.map((p) => (
+            <button
+              key={p.id}
+              style={{ ...(p.id === periodId ? btnPrimary : btnGhost), padding: "6px 10px" }}
+              onClick={() => setPeriodId(p.id)}
+            >
+              {p.name}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div style={{ marginTop: 8 }}>
+        <BarChart data={bars} fmt={period.fmt} unit={unit} />
+      </div>
+
+      <div style={sectionLabel}>Cumulative {unit === "km" ? "kilometres" : "miles"}</div>
+      <CumulativeChart points={cumulative} milestones={milestones} unit={unit} />
+
+      <div style={sectionLabel}>Days per leg</div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr style={{ color: C.muted }}>
+            <th style={cell}>Leg</th>
+            <th style={cell}>{unit === "km" ? "Km" : "Miles"}</th>
+            <th style={cell}>Reached</th>
+            <th style={cell}>Days</th>
+          </tr>
+        </thead>
+        <tbody>
+          {legs.map((leg, i) => (
+            <tr key={leg.milestone.id} style={{ color: leg.day ? C.ink : C.muted }}>
+              <td style={cell}>
+                {milestones[i].name} → <strong>{leg.milestone.name}</strong>
+              </td>
+              <td style={cell}>{fmtDist(leg.legMiles, unit)}</td>
+              <td style={cell}>{leg.day ? fmtDay(leg.day) : "—"}</td>
+              <td style={cell}>{leg.legDays ?? "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useEffect, useEffectEvent, useState } from "react";
+import { createSync, emptySyncConfig, loadSyncConfig, saveSyncConfig } from "./sync";
+import { C, btnDanger, btnGhost, btnPrimary, inputStyle, label, row } from "./ui";
+
+const SYNC_INTERVAL_MS = 60 * 1000;
+const DEFAULT_URL = "http://localhost:8787";
+
+function fmtTime(iso) {
+  return new Date(iso).toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+}
+
+// Connects to a self-hosted sync server (see server/index.js) and keeps this
+// device in step with it: local changes go up as they happen, and a pull runs
+// on connect, every minute and when the browser comes back online.
+export default function SyncSettings({ store, state, onPull }) {
+  const [sync, setSync] = useState(() => {
+    const config = loadSyncConfig();
+    return config ? createSync(config) : null;
+  });
+  const [url, setUrl] = useState(() => sync?.config.url ?? DEFAULT_URL);
+  const [status, setStatus] = useState({ busy: false, error: null });
+
+  useEffect(() => {
+    store.setRemote(sync);
+    return () => store.setRemote(null);
+  }, [store, sync]);
+
+  const syncWith = (s) => {
+    setStatus({ busy: true, error: null });
+    return s.syncNow(state).then(
+      (updates) => {
+        onPull(updates);
+        setStatus({ busy: false, error: null });
+      },
+      (err) => setStatus({ busy: false, error: `Sync failed: ${err.message}` })
+    );
+  };
+
+  const syncInBackground = useEffectEvent(() => {
+    if (sync && navigator.onLine !== false) syncWith(sync);
+  });
+
+  useEffect(() => {
+    if (!sync) return;
+    const tick = () => syncInBackground();
+    const first = setTimeout(tick, 0);
+    const timer = setInterval(tick, SYNC_INTERVAL_MS);
+    window.addEventListener("online", tick);
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+      window.removeEventListener("online", tick);
+    };
+  }, [sync]);
+
+  const connect = async () => {
+    const base = url.trim().replace(/\/+$/, "");
+    if (!base) return;
+    setStatus({ busy: true, error: null });
+    try {
+      const res = await fetch(`${base}/api/health`);
+      if (!res.ok) throw new Error(`answered ${res.status}`);
+    } catch (err) {
+      setStatus({ busy: false, error: `Couldn’t reach ${base} (${err.message}).` });
+      return;
+    }
+    const config = emptySyncConfig(base);
+    saveSyncConfig(config);
+    setStatus({ busy: false, error: null });
+    setSync(createSync(config));
+  };
+
+  const disconnect = () => {
+    saveSyncConfig(null);
+    setSync(null);
+    setStatus({ busy: false, error: null });
+  };
+
+  const pending = sync?.config.outbox.length ?? 0;
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Sync</div>
+        <div style={{ fontSize: 12, color: C.muted }}>Share this quest between devices through your own server</div>
+      </div>
+
+      {!sync ? (
+        <div style={row}>
+          <label style={{ flex: 1, minWidth: 220 }}>
+            <span style={{ ...label, display: "block", marginBottom: 4 }}>Server address</span>
+            <input
+              style={{ ...inputStyle, width: "100%", boxSizing: "border-box" }}
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder={DEFAULT_URL}
+            />
+          </label>
+          <button style={{ ...btnPrimary, alignSelf: "flex-end" }} onClick={connect} disabled={status.busy}>
+            Connect
+          </button>
+        </div>
+      ) : (
+        <>
+          <div style={{ fontSize: 13, marginTop: 10 }}>
+            Connected to <strong>{sync.config.url}</strong>
+            {sync.config.lastSyncedAt && <span style={{ color: C.muted }}> · last synced {fmtTime(sync.config.lastSyncedAt)}</span>}
+            {pending > 0 && <span style={{ color: C.muted }}> · {pending} changes waiting to upload</span>}
+          </div>
+          <div style={row}>
+            <button style={btnGhost} onClick={() => syncWith(sync)} disabled={status.busy}>
+              {status.busy ? "Syncing…" : "Sync now"}
+            </button>
+            <button style={btnDanger} onClick={disconnect}>Disconnect</button>
+          </div>
+        </>
+      )}
+
+      {status.error && <div style={{ fontSize: 13, color: C.danger, marginTop: 10 }}>{status.error}</div>}
+    </div>
+  );
+}
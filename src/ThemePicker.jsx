@@ -0,0 +1,43 @@
+import React, { useEffect, useState } from "react";
+import { useMediaQuery } from "./media";
+import { SYSTEM_THEME, THEMES, applyTheme, loadThemeChoice, resolveTheme, saveThemeChoice } from "./themes";
+import { C, inputStyle, label, row } from "./ui";
+
+// Theme choice for this device. main.jsx applies the saved one before the
+// first render; this keeps it applied as the choice or the system changes.
+export default function ThemePicker() {
+  const [choice, setChoice] = useState(loadThemeChoice);
+  const dark = useMediaQuery("(prefers-color-scheme: dark)");
+  const themeId = resolveTheme(choice, dark);
+  const systemName = THEMES.find((t) => t.id === resolveTheme(SYSTEM_THEME, dark)).name;
+
+  useEffect(() => {
+    applyTheme(themeId);
+  }, [themeId]);
+
+  const choose = (next) => {
+    saveThemeChoice(next);
+    setChoice(next);
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Theme</div>
+        <div style={{ fontSize: 12, color: C.muted }}>Saved on this device</div>
+      </div>
+
+      <div style={row}>
+        <label>
+          <span style={{ ...label, display: "block", marginBottom: 4 }}>Colours</span>
+          <select style={inputStyle} value={choice} onChange={(e) => choose(e.target.value)}>
+            <option value={SYSTEM_THEME}>{`Match system (${systemName})`}</option>
+            {THEMES.map((t) => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React from "react";
+import { C, btnGhost, toastStyle } from "./ui";
+
+// The live region is always in the page, so screen readers announce each
+// toast as it appears rather than missing the first one.
+export default function Toast({ toast, more = 0, onAction, onDismiss }) {
+  return (
+    <div role="status" aria-live="polite" aria-atomic="true">
+      {toast && (
+        <div style={{ ...toastStyle, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 }}>
+          <span><span aria-hidden="true">✨ </span>{toast.message}</span>
+          <span style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: C.muted }}>
+            {more > 0 && `+${more} more`}
+            {toast.action && (
+              <button style={{ ...btnGhost, padding: "2px 8px" }} onClick={() => onAction(toast.action)}>
+                {toast.action === "undo" ? "Undo" : "Redo"}
+              </button>
+            )}
+            <button style={{ ...btnGhost, padding: "2px 8px" }} onClick={onDismiss} aria-label="Dismiss notification" title="Dismiss">
+              ×
+            </button>
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
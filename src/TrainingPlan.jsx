@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import {
+  aheadOfPlan,
+  clamp,
+  currentStageIndex,
+  normalizeStage,
+  plannedMilesThroughDate,
+  todaysPlannedMiles
+} from "./ramp";
+import { localDateISO } from "./dates";
+import NumberInput from "./NumberInput";
+import { C, btnDanger, btnGhost, inputStyle, label, pill, row } from "./ui";
+import { distInputValue, fmtDist, fromUnit } from "./units";
+
+export default function TrainingPlan({ plan, entries, unit = "mi", onChange }) {
+  const [isEditing, setIsEditing] = useState(false);
+
+  const today = localDateISO();
+  const todayTarget = todaysPlannedMiles(plan, today);
+  const plannedToToday = plannedMilesThroughDate(plan, today);
+  const ahead = aheadOfPlan(plan, entries, today);
+  const stageIndex = currentStageIndex(plan, today);
+
+  const setEnabled = (enabled) => {
+    onChange(enabled && !plan.planStartDate ? { planEnabled: true, planStartDate: today } : { planEnabled: enabled });
+  };
+
+  const updateStage = (index, field, value) => {
+    onChange({
+      rampStages: plan.rampStages.map((s, i) =>
+        i === index ? normalizeStage({ ...s, [field]: value }, plan.capMiles) : s
+      )
+    });
+  };
+
+  const addStage = () => {
+    const last = plan.rampStages[plan.rampStages.length - 1];
+    const next = normalizeStage({ weeks: 4, milesPerDay: (last?.milesPerDay ?? 1.5) + 0.5 }, plan.capMiles);
+    onChange({ rampStages: [...plan.rampStages, next] });
+  };
+
+  const removeStage = (index) => {
+    onChange({ rampStages: plan.rampStages.filter((_, i) => i !== index) });
+  };
+
+  const fieldLabel = { ...label, display: "block", marginBottom: 4 };
+  const numberInput = { ...inputStyle, width: 90 };
+  const stat = pill(C.surface, C.ink);
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Training plan</div>
+        <label style={{ fontSize: 13, display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="checkbox" checked={plan.planEnabled} onChange={(e) => setEnabled(e.target.checked)} />
+          Ramp-up plan
+        </label>
+      </div>
+
+      {!plan.planEnabled ? (
+        <p style={{ fontSize: 14, color: C.muted, marginTop: 10, marginBottom: 0 }}>
+          Turn on the ramp-up plan to get a daily target that builds over the weeks.
+        </p>
+      ) : (
+        <>
+          <div style={row}>
+            <span style={stat}>Today: <strong>{fmtDist(todayTarget, unit)}</strong> {unit}</span>
+            <span style={stat}>Planned by today: <strong>{fmtDist(plannedToToday, unit)}</strong> {unit}</span>
+            <span style={pill(ahead >= 0 ? C.accentTint : C.dangerTint, ahead >= 0 ? C.accent : C.danger)}>
+              {ahead >= 0 ? "Ahead" : "Behind"} by <strong>{fmtDist(Math.abs(ahead), unit)}</strong> {unit}
+            </span>
+          </div>
+
+          <div style={{ fontSize: 13, color: C.muted, marginTop: 8 }}>
+            {stageIndex === null
+              ? `Starts ${plan.planStartDate}.`
+              : stageIndex < plan.rampStages.length
+                ? `Stage ${stageIndex + 1} of ${plan.rampStages.length}, then ${fmtDist(plan.capMiles, unit)} ${unit}/day.`
+                : `Ramp complete: holding at ${fmtDist(plan.capMiles, unit)} ${unit}/day.`}
+            {plan.daysPerWeek < 7 ? ` Walking ${plan.daysPerWeek} days a week.` : ""}
+          </div>
+
+          <div style={row}>
+            <button style={btnGhost} onClick={() => setIsEditing((v) => !v)}>
+              {isEditing ? "Done" : "Edit plan"}
+            </button>
+          </div>
+
+          {isEditing && (
+            <div style={{ marginTop: 12 }}>
+              <div style={row}>
+                <label>
+                  <span style={fieldLabel}>Start date</span>
+                  <input
+                    style={inputStyle}
+                    type="date"
+                    value={plan.planStartDate || ""}
+                    onChange={(e) => onChange({ planStartDate: e.target.value || today })}
+                  />
+                </label>
+                <label>
+                  <span style={fieldLabel}>Days / week</span>
+                  <NumberInput
+                    style={numberInput}
+                    min="1"
+                    max="7"
+                    step="1"
+                    value={plan.daysPerWeek}
+                    onCommit={(v) => onChange({ daysPerWeek: clamp(Math.round(v), 1, 7) })}
+                  />
+                </label>
+                <label>
+                  <span style={fieldLabel}>Cap {unit} / day</span>
+                  <NumberInput
+                    style={numberInput}
+                    min={distInputValue(1, unit)}
+                    max={distInputValue(20, unit)}
+                    step="0.5"
+                    value={distInputValue(plan.capMiles, unit)}
+                    onCommit={(v) => onChange({ capMiles: clamp(fromUnit(v, unit), 1, 20) })}
+                  />
+                </label>
+              </div>
+
+              <div style={{ ...label, marginTop: 14 }}>Stages</div>
+              {plan.rampStages.map((s, i) => (
+                <div key={i} style={{ ...row, marginTop: 8 }}>
+                  <strong style={{ width: 70 }}>Stage {i + 1}</strong>
+                  <label style={{ fontSize: 13, display: "flex", gap: 6, alignItems: "center" }}>
+                    <NumberInput
+                      style={numberInput}
+                      min="1"
+                      max="52"
+                      step="1"
+                      value={s.weeks}
+                      onCommit={(v) => updateStage(i, "weeks", v)}
+                    />
+                    weeks at
+                  </label>
+                  <label style={{ fontSize: 13, display: "flex", gap: 6, alignItems: "center" }}>
+                    <NumberInput
+                      style={numberInput}
+                      min={distInputValue(0.5, unit)}
+                      max={distInputValue(plan.capMiles, unit)}
+                      step="0.5"
+                      value={distInputValue(s.milesPerDay, unit)}
+                      onCommit={(v) => updateStage(i, "milesPerDay", fromUnit(v, unit))}
+                    />
+                    {unit}/day
+                  </label>
+                  <button style={btnDanger} onClick={() => removeStage(i)} disabled={plan.rampStages.length <= 1}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <div style={row}>
+                <button style={btnGhost} onClick={addStage}>Add stage</button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
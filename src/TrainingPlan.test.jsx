@@ -0,0 +1,31 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { cleanup, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import TrainingPlan from "./TrainingPlan";
+import { DEFAULT_PLAN } from "./ramp";
+
+afterEach(cleanup);
+
+describe("TrainingPlan inputs", () => {
+  it("clamps the cap and stage distance once, after typing", async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<TrainingPlan plan={{ ...DEFAULT_PLAN, planEnabled: true, planStartDate: "2026-01-01" }} entries={[]} onChange={onChange} />);
+    await user.click(screen.getByRole("button", { name: "Edit plan" }));
+
+    const cap = screen.getByRole("spinbutton", { name: /Cap/ });
+    await user.clear(cap);
+    await user.type(cap, "6");
+    await user.tab();
+    expect(onChange).toHaveBeenLastCalledWith({ capMiles: 6 });
+
+    const [firstStage] = screen.getAllByRole("spinbutton", { name: /\/day/ });
+    await user.clear(firstStage);
+    await user.type(firstStage, "3");
+    await user.tab();
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onChange.mock.lastCall[0].rampStages[0]).toEqual({ weeks: 4, milesPerDay: 3 });
+  });
+});
@@ -0,0 +1,53 @@
+import React from "react";
+import NumberInput from "./NumberInput";
+import { UNITS, paceFromUnit, paceInUnit, strideFromUnit, strideInUnit } from "./units";
+import { C, inputStyle, label, row } from "./ui";
+
+const round = (n, digits = 1) => +n.toFixed(digits);
+
+// Display unit plus the stride and pace used to turn steps and minutes into distance.
+export default function UnitSettings({ prefs, onChange }) {
+  const { unit, strideCm, paceMinPerMile } = prefs;
+  const fieldLabel = { ...label, display: "block", marginBottom: 4 };
+  const numberInput = { ...inputStyle, width: 90 };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 10 }}>
+        <div style={{ fontWeight: 900 }}>Units</div>
+        <div style={{ fontSize: 12, color: C.muted }}>Steps and minutes are converted when you log them</div>
+      </div>
+
+      <div style={row}>
+        <label>
+          <span style={fieldLabel}>Distance</span>
+          <select style={inputStyle} value={unit} onChange={(e) => onChange({ units: e.target.value })}>
+            {UNITS.map((u) => (
+              <option key={u} value={u}>{u === "km" ? "Kilometres" : "Miles"}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span style={fieldLabel}>Stride ({unit === "mi" ? "in" : "cm"})</span>
+          <NumberInput
+            style={numberInput}
+            min="1"
+            step="1"
+            value={round(strideInUnit(strideCm, unit))}
+            onCommit={(v) => v > 0 && onChange({ strideCm: strideFromUnit(v, unit) })}
+          />
+        </label>
+        <label>
+          <span style={fieldLabel}>Pace (min / {unit})</span>
+          <NumberInput
+            style={numberInput}
+            min="1"
+            step="0.5"
+            value={round(paceInUnit(paceMinPerMile, unit))}
+            onCommit={(v) => v > 0 && onChange({ paceMinPerMile: paceFromUnit(v, unit) })}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { cleanup, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import UnitSettings from "./UnitSettings";
+import { unitsFromSettings } from "./units";
+
+afterEach(cleanup);
+
+describe("UnitSettings inputs", () => {
+  it("lets stride be cleared and retyped", async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<UnitSettings prefs={unitsFromSettings({ units: "km" })} onChange={onChange} />);
+
+    const stride = screen.getByRole("spinbutton", { name: /Stride/ });
+    await user.clear(stride);
+    expect(stride.value).toBe("");
+    await user.type(stride, "80");
+    await user.tab();
+    expect(onChange).toHaveBeenCalledExactlyOnceWith({ strideCm: 80 });
+  });
+});
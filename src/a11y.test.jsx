@@ -0,0 +1,104 @@
+// @vitest-environment jsdom
+import React from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import AddEntry from "./AddEntry";
+import Journal from "./Journal";
+import JourneyEditor from "./JourneyEditor";
+import MilestoneList from "./MilestoneList";
+import Profiles from "./Profiles";
+import ProgressBar from "./ProgressBar";
+import Rewards from "./Rewards";
+import ThemePicker from "./ThemePicker";
+import Toast from "./Toast";
+import UnitSettings from "./UnitSettings";
+import { DEFAULT_JOURNEY } from "./journeys";
+import { makeProfile } from "./storage";
+import { passagesForJourney } from "./story";
+import { stubMatchMedia, violations } from "./testDom";
+import { unitsFromSettings } from "./units";
+
+const milestones = DEFAULT_JOURNEY.milestones;
+
+// These components are checked on their own, outside the page landmarks.
+const componentViolations = (container) => violations(container, { region: false });
+
+beforeEach(() => stubMatchMedia());
+
+afterEach(cleanup);
+
+describe("accessibility", () => {
+  it("has no axe violations in the tracker's main pieces", async () => {
+    const { container } = render(
+      <main>
+        <Toast toast={{ id: 1, message: "Deleted 2 mi.", action: "undo" }} more={1} onAction={() => {}} onDismiss={() => {}} />
+        <ProgressBar value={40} label="Progress to next milestone" valueText="40% of the way to Bree" />
+        <AddEntry onAdd={() => true} />
+        <MilestoneList milestones={milestones} totalMiles={200} currentId="bree" nextId="rivendell" reachedAt={{ bree: "2026-07-01" }} />
+        <Rewards milestones={milestones} totalMiles={200} claims={{}} onClaimsChange={() => {}} onRewardChange={() => {}} />
+        <Journal passages={passagesForJourney(milestones)} totalMiles={200} readIds={[]} onMarkRead={() => {}} />
+        <UnitSettings prefs={unitsFromSettings({})} onChange={() => {}} />
+        <ThemePicker />
+      </main>
+    );
+    expect(await componentViolations(container)).toEqual([]);
+  });
+
+  it("has no axe violations in the phone quick-add bar", async () => {
+    const { container } = render(<AddEntry compact onAdd={() => true} />);
+    expect(await componentViolations(container)).toEqual([]);
+  });
+
+  it("exposes leg progress as a progressbar", () => {
+    render(<ProgressBar value={62.4} label="Progress to next milestone" valueText="62% of the way to Bree" />);
+    const bar = screen.getByRole("progressbar", { name: "Progress to next milestone" });
+    expect(bar.getAttribute("aria-valuenow")).toBe("62");
+    expect(bar.getAttribute("aria-valuetext")).toBe("62% of the way to Bree");
+  });
+
+  it("keeps the toast region live before and after a toast shows", () => {
+    const { rerender } = render(<Toast toast={null} onAction={() => {}} onDismiss={() => {}} />);
+    expect(screen.getByRole("status").getAttribute("aria-live")).toBe("polite");
+    rerender(<Toast toast={{ id: 1, message: "Reached Bree!" }} onAction={() => {}} onDismiss={() => {}} />);
+    expect(screen.getByRole("status").textContent).toContain("Reached Bree!");
+    expect(screen.getByRole("button", { name: "Dismiss notification" })).toBeTruthy();
+  });
+
+  it("adds a walk when Enter is pressed in the distance field", async () => {
+    const onAdd = vi.fn(() => true);
+    render(<AddEntry onAdd={onAdd} />);
+    const miles = screen.getByRole("spinbutton", { name: "Miles walked" });
+    await userEvent.type(miles, "2.5{Enter}");
+    expect(onAdd).toHaveBeenCalledWith("distance", "2.5", "");
+    expect(miles.value).toBe("");
+  });
+
+  it("names each stop's lock state in text, not only emoji", () => {
+    render(<MilestoneList milestones={milestones} totalMiles={200} currentId="bree" nextId="rivendell" />);
+    const items = screen.getAllByRole("listitem");
+    expect(items[1].textContent).toContain("Bree (reached)");
+    expect(items[2].textContent).toContain("Rivendell (locked)");
+    expect(items[1].getAttribute("aria-current")).toBe("step");
+  });
+
+  it("has no axe violations in profiles and the journey editor", async () => {
+    const profiles = [makeProfile("Frodo"), makeProfile("Sam")];
+    const { container } = render(
+      <main>
+        <Profiles
+          profiles={profiles}
+          activeProfileId={profiles[0].id}
+          showFellowship={false}
+          onSelect={() => {}}
+          onAdd={() => {}}
+          onRename={() => {}}
+          onRemove={() => {}}
+          onToggleFellowship={() => {}}
+        />
+        <JourneyEditor journey={DEFAULT_JOURNEY} onSave={() => {}} onCancel={() => {}} />
+      </main>
+    );
+    expect(await componentViolations(container)).toEqual([]);
+  });
+});
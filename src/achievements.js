@@ -0,0 +1,112 @@
+// Badges earned from the entry log. Each achievement's `earned` looks at a
+// context built once per evaluation; unlocks are kept per traveller in
+// settings.badges as [{ id, unlockedAt }] so they survive later edits.
+
+import { addDays, daysBetween } from "./dates";
+import { dailyTotals, milestoneLegs, weeklyTotals } from "./stats";
+
+// Longest run of consecutive calendar days with at least one walk.
+export function longestStreak(days) {
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  for (const { key } of days) {
+    run = prev && addDays(prev, 1) === key ? run + 1 : 1;
+    best = Math.max(best, run);
+    prev = key;
+  }
+  return best;
+}
+
+// Streak that is still alive: it ends today, or yesterday if today isn't logged yet.
+export function currentStreak(days, todayISO) {
+  const logged = new Set(days.map((d) => d.key));
+  let day = logged.has(todayISO) ? todayISO : addDays(todayISO, -1);
+  let run = 0;
+  while (logged.has(day)) {
+    run++;
+    day = addDays(day, -1);
+  }
+  return run;
+}
+
+function daysInMonth(month) {
+  const [y, m] = month.split("-").map(Number);
+  return new Date(y, m, 0).getDate();
+}
+
+function hasFullMonth(days) {
+  const perMonth = new Map();
+  for (const { key } of days) perMonth.set(key.slice(0, 7), (perMonth.get(key.slice(0, 7)) ?? 0) + 1);
+  return [...perMonth.entries()].some(([month, count]) => count === daysInMonth(month));
+}
+
+function reachedWithin(ctx, stopName, maxDays) {
+  const leg = ctx.legs.find((l) => l.milestone.name.toLowerCase().startsWith(stopName));
+  return Boolean(leg?.day) && daysBetween(ctx.days[0].key, leg.day) + 1 <= maxDays;
+}
+
+export const ACHIEVEMENTS = [
+  { id: "first-steps", icon: "👣", name: "First steps", description: "Log your first walk.", earned: (ctx) => ctx.days.length > 0 },
+  { id: "streak-3", icon: "🔥", name: "Three in a row", description: "Walk three days in a row.", earned: (ctx) => ctx.streak >= 3 },
+  { id: "streak-7", icon: "🗓️", name: "A week on the road", description: "Walk seven days in a row.", earned: (ctx) => ctx.streak >= 7 },
+  { id: "streak-30", icon: "🏔️", name: "Thirty days’ march", description: "Walk thirty days in a row.", earned: (ctx) => ctx.streak >= 30 },
+  {
+    id: "ten-mile-day",
+    icon: "🥾",
+    name: "Ten-mile day",
+    description: "Walk 10 miles in a single day.",
+    earned: (ctx) => ctx.days.some((d) => d.miles >= 10)
+  },
+  {
+    id: "marathon-week",
+    icon: "🏃",
+    name: "Marathon week",
+    description: "Walk 26.2 miles in one week.",
+    earned: (ctx) => ctx.weeks.some((w) => w.miles >= 26.2)
+  },
+  {
+    id: "full-month",
+    icon: "📅",
+    name: "Every day for a month",
+    description: "Log a walk on every day of a calendar month.",
+    earned: (ctx) => hasFullMonth(ctx.days)
+  },
+  {
+    id: "hundred-miles",
+    icon: "💯",
+    name: "The first hundred",
+    description: "Walk 100 miles in total.",
+    earned: (ctx) => ctx.totalMiles >= 100
+  },
+  {
+    id: "rivendell-60",
+    icon: "🏞️",
+    name: "Swift to Rivendell",
+    description: "Reach Rivendell within 60 days of your first walk.",
+    earned: (ctx) => reachedWithin(ctx, "rivendell", 60)
+  }
+];
+
+export function earnedAchievementIds(entries, milestones) {
+  const days = dailyTotals(entries);
+  if (days.length === 0) return [];
+  const ctx = {
+    days,
+    weeks: weeklyTotals(entries),
+    legs: milestoneLegs(milestones, entries),
+    streak: longestStreak(days),
+    totalMiles: days.reduce((sum, d) => sum + d.miles, 0)
+  };
+  return ACHIEVEMENTS.filter((a) => a.earned(ctx)).map((a) => a.id);
+}
+
+// Adds anything newly earned to the saved list. Badges are never taken back.
+export function awardAchievements(unlocked = [], entries, milestones, now = new Date().toISOString()) {
+  const have = new Set(unlocked.map((b) => b.id));
+  const fresh = earnedAchievementIds(entries, milestones).filter((id) => !have.has(id));
+  return {
+    unlocked: [...unlocked, ...fresh.map((id) => ({ id, unlockedAt: now }))],
+    fresh: fresh.map((id) => ACHIEVEMENTS.find((a) => a.id === id))
+  };
+}
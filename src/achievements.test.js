@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { awardAchievements, currentStreak, earnedAchievementIds, longestStreak } from "./achievements";
+import { addDays } from "./dates";
+import { dailyTotals } from "./stats";
+import { walkOn } from "./testFixtures";
+
+const run = (start, count, miles = 1) => Array.from({ length: count }, (_, i) => walkOn(addDays(start, i), miles));
+
+const stops = [
+  { id: "shire", name: "The Shire", miles: 0 },
+  { id: "rivendell", name: "Rivendell", miles: 50 },
+  { id: "doom", name: "Mount Doom", miles: 1800 }
+];
+
+describe("streaks", () => {
+  const days = dailyTotals([...run("2025-01-01", 3), ...run("2025-01-10", 5)]);
+
+  it("finds the longest run of consecutive days", () => {
+    expect(longestStreak(days)).toBe(5);
+    expect(longestStreak([])).toBe(0);
+  });
+
+  it("keeps the current streak alive until today is over", () => {
+    expect(currentStreak(days, "2025-01-14")).toBe(5);
+    expect(currentStreak(days, "2025-01-15")).toBe(5);
+    expect(currentStreak(days, "2025-01-16")).toBe(0);
+  });
+});
+
+describe("earnedAchievementIds", () => {
+  it("earns nothing without entries", () => {
+    expect(earnedAchievementIds([], stops)).toEqual([]);
+  });
+
+  it("recognises streaks, big days and a fully logged month", () => {
+    const ids = earnedAchievementIds([...run("2025-02-01", 28), walkOn("2025-03-05", 25)], stops);
+    expect(ids).toEqual(
+      expect.arrayContaining(["first-steps", "streak-3", "streak-7", "ten-mile-day", "full-month", "rivendell-60"])
+    );
+    expect(ids).not.toContain("streak-30");
+  });
+
+  it("only counts Rivendell if it was reached within 60 days", () => {
+    const slow = [walkOn("2025-01-01", 1), walkOn("2025-03-02", 49)];
+    const fast = [walkOn("2025-01-01", 1), walkOn("2025-03-01", 49)];
+    expect(earnedAchievementIds(slow, stops)).not.toContain("rivendell-60");
+    expect(earnedAchievementIds(fast, stops)).toContain("rivendell-60");
+  });
+});
+
+describe("awardAchievements", () => {
+  it("adds new badges once and never removes old ones", () => {
+    const first = awardAchievements([], [walkOn("2025-01-01", 12)], stops, "T1");
+    expect(first.fresh.map((a) => a.id)).toEqual(["first-steps", "ten-mile-day"]);
+    expect(first.unlocked).toEqual([
+      { id: "first-steps", unlockedAt: "T1" },
+      { id: "ten-mile-day", unlockedAt: "T1" }
+    ]);
+
+    const again = awardAchievements(first.unlocked, [], stops, "T2");
+    expect(again.fresh).toEqual([]);
+    expect(again.unlocked).toEqual(first.unlocked);
+  });
+});
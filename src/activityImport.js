@@ -0,0 +1,194 @@
+// Import walks exported from fitness apps: CSV (Strava, Apple Health via
+// export tools, Garmin Connect) or GPX tracks.
+
+import { localDateISO } from "./dates";
+import { MILES_TO_KM, fromUnit } from "./units";
+
+const METERS_PER_MILE = MILES_TO_KM * 1000;
+
+export const DISTANCE_UNITS = [
+  { id: "mi", name: "miles", toMiles: (v) => v },
+  { id: "km", name: "kilometres", toMiles: (v) => fromUnit(v, "km") },
+  { id: "m", name: "metres", toMiles: (v) => v / METERS_PER_MILE }
+];
+
+// RFC 4180-ish: quoted fields, doubled quotes, commas and newlines in quotes.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers = [], ...body] = rows.filter((r) => r.some((f) => f.trim() !== ""));
+  return { headers: headers.map((h) => h.replace(/^\uFEFF/, "").trim()), rows: body };
+}
+
+// Header names used by the apps we know about, best match first.
+const DATE_HEADERS = ["activity date", "start time", "startdate", "start date", "date", "creationdate", "time"];
+const DISTANCE_HEADERS = ["distance (km)", "distance (mi)", "distance", "value", "distance (m)"];
+
+function findHeader(headers, candidates) {
+  const lower = headers.map((h) => h.toLowerCase());
+  for (const c of candidates) {
+    const i = lower.indexOf(c);
+    if (i !== -1) return i;
+  }
+  for (const c of candidates) {
+    const i = lower.findIndex((h) => h.includes(c));
+    if (i !== -1) return i;
+  }
+  return -1;
+}
+
+function guessUnit(header, rows, unitIndex) {
+  const h = header.toLowerCase();
+  if (/\(km\)|kilomet/.test(h)) return "km";
+  if (/\(mi\)|mile/.test(h)) return "mi";
+  if (/\(m\)|met(er|re)s/.test(h)) return "m";
+  if (unitIndex !== -1) {
+    const unit = String(rows[0]?.[unitIndex] ?? "").trim().toLowerCase();
+    if (unit === "km") return "km";
+    if (unit === "m") return "m";
+    if (unit === "mi") return "mi";
+  }
+  return "km";
+}
+
+export function guessMapping(headers, rows) {
+  const distance = findHeader(headers, DISTANCE_HEADERS);
+  const unitIndex = headers.findIndex((h) => h.toLowerCase() === "unit");
+  return {
+    date: findHeader(headers, DATE_HEADERS),
+    distance,
+    unit: distance === -1 ? "km" : guessUnit(headers[distance], rows, unitIndex)
+  };
+}
+
+// Accepts ISO strings, "YYYY-MM-DD HH:MM:SS +0000" (Apple Health) and
+// anything else Date understands (Strava's "May 1, 2024, 7:00:00 AM").
+export function parseActivityDate(value) {
+  const v = String(value ?? "").trim();
+  if (!v) return null;
+
+  const apple = v.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)\s*([+-]\d{2}):?(\d{2})$/);
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const d = apple
+    ? new Date(`${apple[1]}T${apple[2]}${apple[3]}:${apple[4]}`)
+    : dateOnly
+      ? new Date(`${v}T12:00:00`)
+      : new Date(v.replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, "$1T$2"));
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// Commas are thousands separators when they group digits in threes ("1,234"
+// or "1,234.5"); a lone comma otherwise is a decimal comma ("3,5").
+function parseNumber(value) {
+  let v = String(value ?? "").trim();
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(v)) v = v.replace(/,/g, "");
+  else if (/^\d+,\d+$/.test(v)) v = v.replace(",", ".");
+  const n = v === "" ? NaN : Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+export function rowsToActivities(rows, mapping) {
+  const unit = DISTANCE_UNITS.find((u) => u.id === mapping.unit) || DISTANCE_UNITS[0];
+  return rows.map((r) => {
+    const raw = parseNumber(r[mapping.distance]);
+    return { date: parseActivityDate(r[mapping.date]), miles: raw > 0 ? unit.toMiles(raw) : NaN };
+  });
+}
+
+function haversineMiles(a, b) {
+  const R = 3958.8;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return m ? Number(m[1]) : NaN;
+}
+
+// One activity per <trk>; distance is the sum of straight lines between points.
+export function parseGPX(text) {
+  const tracks = text.match(/<trk[\s>][\s\S]*?<\/trk>/g) || [];
+  return tracks.map((trk) => {
+    const points = [...trk.matchAll(/<trkpt\b[^>]*>/g)]
+      .map((m) => ({ lat: attr(m[0], "lat"), lon: attr(m[0], "lon") }))
+      .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+    let miles = 0;
+    for (let i = 1; i < points.length; i++) miles += haversineMiles(points[i - 1], points[i]);
+    const time = trk.match(/<time>([^<]+)<\/time>/) || text.match(/<metadata>[\s\S]*?<time>([^<]+)<\/time>/);
+    return { date: time ? parseActivityDate(time[1]) : null, miles: miles > 0 ? miles : NaN };
+  });
+}
+
+// Import ids are derived from the walk itself so importing the same file
+// twice produces the same ids.
+function importId(activity) {
+  return `import-${activity.date}-${activity.miles.toFixed(3)}`;
+}
+
+function isImported(entry) {
+  return String(entry.id).startsWith("import-");
+}
+
+// A walk typed in by hand only has the day right, not the start time.
+function sameWalk(a, b) {
+  return localDateISO(a.date) === localDateISO(b.date) && Math.abs(a.miles - b.miles) < 0.05;
+}
+
+// Each activity gets a status: "new", "duplicate" or "invalid" (no usable
+// date/distance, or future). Imported walks, from this file or an earlier
+// one, are duplicates only with the same id, i.e. the same start time; two
+// equal walks on one day are both kept. A walk logged by hand is matched by
+// day and distance instead.
+export function classifyActivities(activities, existing, { source = null, now = Date.now() } = {}) {
+  const ids = new Set(existing.map((e) => e.id));
+  const manual = existing.filter((e) => !isImported(e));
+  return activities.map((a) => {
+    if (!a.date || !(a.miles > 0)) return { ...a, status: "invalid" };
+    if (new Date(a.date).getTime() > now) return { ...a, status: "invalid" };
+
+    const miles = Math.round(a.miles * 100) / 100;
+    const entry = { id: importId({ ...a, miles }), miles, date: a.date, edited: false, source };
+    if (ids.has(entry.id) || manual.some((e) => sameWalk(e, entry))) return { ...a, miles, status: "duplicate" };
+
+    ids.add(entry.id);
+    return { ...a, miles, status: "new", entry };
+  });
+}
@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import {
+  classifyActivities,
+  guessMapping,
+  parseActivityDate,
+  parseCSV,
+  parseGPX,
+  rowsToActivities
+} from "./activityImport";
+
+describe("parseCSV", () => {
+  it("handles quotes, embedded commas, CRLF and blank lines", () => {
+    const text = 'Activity Date,Name,Distance\r\n"May 1, 2024, 7:00:00 AM","Walk, ""easy""",5.2\r\n\r\n';
+    expect(parseCSV(text)).toEqual({
+      headers: ["Activity Date", "Name", "Distance"],
+      rows: [["May 1, 2024, 7:00:00 AM", 'Walk, "easy"', "5.2"]]
+    });
+  });
+});
+
+describe("guessMapping", () => {
+  it("recognises Strava, Garmin and Apple Health exports", () => {
+    expect(guessMapping(["Activity ID", "Activity Date", "Distance"], [])).toEqual({ date: 1, distance: 2, unit: "km" });
+    expect(guessMapping(["Activity Type", "Date", "Distance (mi)"], [])).toEqual({ date: 1, distance: 2, unit: "mi" });
+    const apple = ["type", "unit", "startDate", "value"];
+    expect(guessMapping(apple, [["Distance", "mi", "2024-05-01 07:00:00 +0000", "2"]])).toEqual({
+      date: 2,
+      distance: 3,
+      unit: "mi"
+    });
+  });
+});
+
+describe("parseActivityDate", () => {
+  it("understands the formats the apps export", () => {
+    expect(parseActivityDate("2024-05-01 07:00:00 +0000")).toBe("2024-05-01T07:00:00.000Z");
+    expect(parseActivityDate("2024-05-01T07:00:00Z")).toBe("2024-05-01T07:00:00.000Z");
+    expect(parseActivityDate("May 1, 2024, 7:00:00 AM")).not.toBeNull();
+    expect(parseActivityDate("yesterday")).toBeNull();
+  });
+});
+
+describe("rowsToActivities", () => {
+  it("converts kilometres to miles and flags bad distances", () => {
+    const rows = [["2024-05-01T07:00:00Z", "10"], ["2024-05-02T07:00:00Z", "n/a"]];
+    const [a, b] = rowsToActivities(rows, { date: 0, distance: 1, unit: "km" });
+    expect(a.miles).toBeCloseTo(6.21371);
+    expect(b.miles).toBeNaN();
+  });
+
+  it("reads thousands separators and decimal commas", () => {
+    const rows = [["2024-05-01T07:00:00Z", "3,5"], ["2024-05-01T07:00:00Z", "1,609.344"], ["2024-05-01T07:00:00Z", "3,5,1"]];
+    const [comma, thousands, junk] = rowsToActivities(rows, { date: 0, distance: 1, unit: "mi" });
+    expect(comma.miles).toBe(3.5);
+    expect(thousands.miles).toBe(1609.344);
+    expect(junk.miles).toBeNaN();
+  });
+});
+
+describe("parseGPX", () => {
+  it("sums the distance between track points and takes the first time", () => {
+    const gpx = `<gpx><trk><name>Walk</name><trkseg>
+      <trkpt lat="51.5000" lon="-0.1000"><time>2024-05-01T07:00:00Z</time></trkpt>
+      <trkpt lon="-0.1000" lat="51.5145"><time>2024-05-01T07:20:00Z</time></trkpt>
+    </trkseg></trk></gpx>`;
+    const [walk] = parseGPX(gpx);
+    expect(walk.date).toBe("2024-05-01T07:00:00.000Z");
+    expect(walk.miles).toBeCloseTo(1.0, 1);
+  });
+});
+
+describe("classifyActivities", () => {
+  const now = new Date("2024-06-01T00:00:00Z").getTime();
+  const existing = [{ id: "x", miles: 3.1, date: "2024-05-01T18:00:00.000Z" }];
+
+  it("matches walks logged by hand on day and distance, and repeats in the file by start time", () => {
+    const result = classifyActivities(
+      [
+        { date: "2024-05-01T12:00:00.000Z", miles: 3.12 },
+        { date: "2024-05-02T12:00:00.000Z", miles: 4 },
+        { date: "2024-05-02T12:00:00.000Z", miles: 4 }
+      ],
+      existing,
+      { source: "strava.csv", now }
+    );
+    expect(result.map((r) => r.status)).toEqual(["duplicate", "new", "duplicate"]);
+    expect(result[1].entry).toMatchObject({ miles: 4, source: "strava.csv", edited: false });
+  });
+
+  it("keeps two equal walks at different times on the same day", () => {
+    const walks = [
+      { date: "2024-05-02T07:00:00.000Z", miles: 2 },
+      { date: "2024-05-02T17:30:00.000Z", miles: 2 }
+    ];
+    const result = classifyActivities(walks, [], { now });
+    expect(result.map((r) => r.status)).toEqual(["new", "new"]);
+
+    const again = classifyActivities(walks, result.map((r) => r.entry), { now });
+    expect(again.map((r) => r.status)).toEqual(["duplicate", "duplicate"]);
+  });
+
+  it("gives the same id when the same walk is imported again", () => {
+    const walk = [{ date: "2024-05-03T12:00:00.000Z", miles: 2 }];
+    const [first] = classifyActivities(walk, [], { now });
+    expect(classifyActivities(walk, [first.entry], { now })[0].status).toBe("duplicate");
+  });
+
+  it("rejects missing data and future dates", () => {
+    const result = classifyActivities(
+      [{ date: null, miles: 2 }, { date: "2024-05-03T12:00:00.000Z", miles: NaN }, { date: "2025-01-01T00:00:00.000Z", miles: 1 }],
+      [],
+      { now }
+    );
+    expect(result.map((r) => r.status)).toEqual(["invalid", "invalid", "invalid"]);
+  });
+});
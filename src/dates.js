@@ -0,0 +1,45 @@
+// Calendar-day helpers. Days are local dates as "YYYY-MM-DD" strings.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Sort comparator for entries, oldest first. Entry dates are ISO timestamps,
+// so they compare as strings.
+export function byDate(a, b) {
+  return a.date.localeCompare(b.date);
+}
+
+export function localDateISO(date = new Date()) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function toDate(iso) {
+  return new Date(iso + "T00:00:00");
+}
+
+// Whole calendar days from a to b; rounding absorbs DST shifts.
+export function daysBetween(startISO, endISO) {
+  return Math.round((toDate(endISO).getTime() - toDate(startISO).getTime()) / DAY_MS);
+}
+
+export function addDays(iso, days) {
+  const d = toDate(iso);
+  d.setDate(d.getDate() + days);
+  return localDateISO(d);
+}
+
+export function fmtDay(iso) {
+  return toDate(iso).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+}
+
+// <input type="datetime-local"> works in local time without a zone suffix.
+export function toLocalInput(iso) {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export function fromLocalInput(value) {
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
@@ -0,0 +1,42 @@
+// Goal-date and arrival forecasting from recent walking pace.
+
+import { addDays, daysBetween, localDateISO } from "./dates";
+
+export const PACE_WINDOWS = [7, 30];
+
+// Average miles per calendar day over the last `days` days, today included.
+// Rest days count as zero, so this is the pace the calendar actually sees.
+export function rollingAverage(entries, days, todayISO) {
+  const from = addDays(todayISO, -(days - 1));
+  const sum = entries
+    .map((e) => ({ day: localDateISO(e.date), miles: e.miles }))
+    .filter((e) => e.day >= from && e.day <= todayISO)
+    .reduce((s, e) => s + e.miles, 0);
+  return sum / days;
+}
+
+// Date the remaining miles are covered at `perDay`, or null if the pace is zero.
+// Walking counts from today, so anything reachable today is today.
+export function projectArrival(milesRemaining, perDay, todayISO) {
+  if (milesRemaining <= 0) return todayISO;
+  if (!(perDay > 0)) return null;
+  return addDays(todayISO, Math.ceil(milesRemaining / perDay) - 1);
+}
+
+// Miles per day needed from today through the goal date, inclusive.
+export function neededPerDay(milesRemaining, goalDate, todayISO) {
+  if (milesRemaining <= 0) return 0;
+  if (!goalDate) return null;
+  const daysLeft = daysBetween(todayISO, goalDate) + 1;
+  return daysLeft > 0 ? milesRemaining / daysLeft : Infinity;
+}
+
+export function forecastMilestones(milestones, totalMiles, paces, todayISO) {
+  return milestones
+    .filter((m) => m.miles > totalMiles)
+    .map((m) => ({
+      milestone: m,
+      milesLeft: m.miles - totalMiles,
+      arrivals: paces.map((pace) => projectArrival(m.miles - totalMiles, pace, todayISO))
+    }));
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { forecastMilestones, neededPerDay, projectArrival, rollingAverage } from "./forecast";
+import { walkOn } from "./testFixtures";
+
+describe("rollingAverage", () => {
+  it("spreads the window's miles over every calendar day in it", () => {
+    const entries = [walkOn("2025-05-01", 70), walkOn("2025-05-04", 3), walkOn("2025-05-10", 4)];
+    expect(rollingAverage(entries, 7, "2025-05-10")).toBe(1);
+    expect(rollingAverage(entries, 30, "2025-05-10")).toBeCloseTo(77 / 30);
+  });
+
+  it("ignores entries after today", () => {
+    expect(rollingAverage([walkOn("2025-05-11", 7)], 7, "2025-05-10")).toBe(0);
+  });
+});
+
+describe("projectArrival", () => {
+  it("counts today as the first walking day", () => {
+    expect(projectArrival(2, 2, "2025-05-10")).toBe("2025-05-10");
+    expect(projectArrival(5, 2, "2025-05-10")).toBe("2025-05-12");
+  });
+
+  it("is today when already there and null without a pace", () => {
+    expect(projectArrival(0, 0, "2025-05-10")).toBe("2025-05-10");
+    expect(projectArrival(10, 0, "2025-05-10")).toBeNull();
+  });
+});
+
+describe("neededPerDay", () => {
+  it("divides the remaining miles over the days left, including today", () => {
+    expect(neededPerDay(30, "2025-05-19", "2025-05-10")).toBe(3);
+  });
+
+  it("handles no goal, a finished quest and a goal in the past", () => {
+    expect(neededPerDay(30, null, "2025-05-10")).toBeNull();
+    expect(neededPerDay(0, "2025-05-01", "2025-05-10")).toBe(0);
+    expect(neededPerDay(30, "2025-05-01", "2025-05-10")).toBe(Infinity);
+  });
+});
+
+describe("forecastMilestones", () => {
+  it("projects each milestone still ahead at every pace", () => {
+    const milestones = [
+      { id: "a", miles: 0 },
+      { id: "b", miles: 10 },
+      { id: "c", miles: 40 }
+    ];
+    const rows = forecastMilestones(milestones, 4, [2, 0], "2025-05-10");
+    expect(rows.map((r) => r.milestone.id)).toEqual(["b", "c"]);
+    expect(rows[0]).toMatchObject({ milesLeft: 6, arrivals: ["2025-05-12", null] });
+    expect(rows[1].arrivals[0]).toBe("2025-05-27");
+  });
+});
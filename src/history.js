@@ -0,0 +1,77 @@
+// Undo/redo for changes to a traveller's entry log.
+//
+// Each change is stored as the entries it removed and the entries it added
+// (an edit is both), so undo and redo are just the same swap in opposite
+// directions. The stack is kept in its own localStorage key and survives a
+// reload for HISTORY_WINDOW_MS; it belongs to one profile at a time.
+
+import { byDate } from "./dates";
+
+export const HISTORY_KEY = "mount-doom-tracker-history";
+export const HISTORY_LIMIT = 50;
+export const HISTORY_WINDOW_MS = 60 * 60 * 1000;
+
+export const EMPTY_HISTORY = { profileId: null, past: [], future: [] };
+
+// Entries are replaced, never mutated, so identity tells us what changed.
+export function diffEntries(before, after) {
+  const kept = new Set(after);
+  const had = new Set(before);
+  return { removed: before.filter((e) => !kept.has(e)), added: after.filter((e) => !had.has(e)) };
+}
+
+export function applyChange(entries, change, direction) {
+  const [drop, put] = direction === "undo" ? [change.added, change.removed] : [change.removed, change.added];
+  const ids = new Set(drop.map((e) => e.id));
+  return [...entries.filter((e) => !ids.has(e.id)), ...put].sort(byDate);
+}
+
+export function recordChange(history, profileId, label, before, after, now = Date.now()) {
+  const { removed, added } = diffEntries(before, after);
+  if (removed.length === 0 && added.length === 0) return history;
+  const past = history.profileId === profileId ? history.past : [];
+  return {
+    profileId,
+    past: [...past, { label, at: now, removed, added }].slice(-HISTORY_LIMIT),
+    future: []
+  };
+}
+
+// Returns { history, change } or null when there is nothing to undo.
+export function undo(history) {
+  const change = history.past[history.past.length - 1];
+  if (!change) return null;
+  return { change, history: { ...history, past: history.past.slice(0, -1), future: [...history.future, change] } };
+}
+
+export function redo(history) {
+  const change = history.future[history.future.length - 1];
+  if (!change) return null;
+  return { change, history: { ...history, past: [...history.past, change], future: history.future.slice(0, -1) } };
+}
+
+export function pruneHistory(history, now = Date.now()) {
+  const fresh = (c) => now - c.at <= HISTORY_WINDOW_MS;
+  return { ...history, past: history.past.filter(fresh), future: history.future.filter(fresh) };
+}
+
+// Anything unreadable just means starting with an empty stack.
+export function loadHistory(profileId, now = Date.now()) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    if (!saved || saved.profileId !== profileId || !Array.isArray(saved.past) || !Array.isArray(saved.future)) {
+      return EMPTY_HISTORY;
+    }
+    return pruneHistory(saved, now);
+  } catch {
+    return EMPTY_HISTORY;
+  }
+}
+
+export function saveHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  } catch {
+    // A full quota only costs the undo stack on reload.
+  }
+}
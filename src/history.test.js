@@ -0,0 +1,92 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import {
+  EMPTY_HISTORY,
+  HISTORY_KEY,
+  HISTORY_LIMIT,
+  HISTORY_WINDOW_MS,
+  applyChange,
+  loadHistory,
+  recordChange,
+  redo,
+  saveHistory,
+  undo
+} from "./history";
+
+const a = { id: "a", miles: 2, date: "2026-03-01T12:00:00.000Z" };
+const b = { id: "b", miles: 3, date: "2026-03-02T12:00:00.000Z" };
+
+describe("undo and redo", () => {
+  it("reverses and replays an add", () => {
+    const after = [a, b];
+    const history = recordChange(EMPTY_HISTORY, "p1", "add entry", [a], after, 0);
+
+    const undone = undo(history);
+    expect(undone.change.label).toBe("add entry");
+    expect(applyChange(after, undone.change, "undo")).toEqual([a]);
+
+    const redone = redo(undone.history);
+    expect(applyChange([a], redone.change, "redo")).toEqual([a, b]);
+    expect(redone.history.past).toHaveLength(1);
+    expect(redone.history.future).toHaveLength(0);
+  });
+
+  it("restores the previous version of an edited entry", () => {
+    const edited = { ...a, miles: 5, edited: true };
+    const history = recordChange(EMPTY_HISTORY, "p1", "edit entry", [a, b], [edited, b], 0);
+    expect(applyChange([edited, b], undo(history).change, "undo")).toEqual([a, b]);
+  });
+
+  it("brings back a deleted entry in date order", () => {
+    const history = recordChange(EMPTY_HISTORY, "p1", "delete entry", [a, b], [b], 0);
+    expect(applyChange([b], undo(history).change, "undo")).toEqual([a, b]);
+  });
+
+  it("drops the redo stack on a new change and ignores no-ops", () => {
+    let history = recordChange(EMPTY_HISTORY, "p1", "add entry", [], [a], 0);
+    history = undo(history).history;
+    history = recordChange(history, "p1", "add entry", [], [b], 1);
+    expect(history.future).toEqual([]);
+    expect(recordChange(history, "p1", "edit entry", [b], [b], 2)).toBe(history);
+    expect(undo(EMPTY_HISTORY)).toBeNull();
+    expect(redo(EMPTY_HISTORY)).toBeNull();
+  });
+
+  it("starts over for another profile and caps the stack", () => {
+    let history = recordChange(EMPTY_HISTORY, "p1", "add entry", [], [a], 0);
+    history = recordChange(history, "p2", "add entry", [], [b], 1);
+    expect(history.profileId).toBe("p2");
+    expect(history.past).toHaveLength(1);
+
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+      history = recordChange(history, "p2", "add entry", [], [{ ...a, id: String(i) }], i);
+    }
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+  });
+});
+
+describe("persistence", () => {
+  beforeEach(() => {
+    const store = new Map();
+    globalThis.localStorage = {
+      getItem: (k) => (store.has(k) ? store.get(k) : null),
+      setItem: (k, v) => store.set(k, String(v))
+    };
+  });
+
+  it("keeps recent changes for the same profile across a reload", () => {
+    const history = recordChange(EMPTY_HISTORY, "p1", "delete entry", [a, b], [b], 1000);
+    saveHistory(history);
+    expect(loadHistory("p1", 2000).past).toHaveLength(1);
+    expect(loadHistory("p2", 2000)).toBe(EMPTY_HISTORY);
+  });
+
+  it("forgets changes older than the window", () => {
+    saveHistory(recordChange(EMPTY_HISTORY, "p1", "delete entry", [a, b], [b], 0));
+    expect(loadHistory("p1", HISTORY_WINDOW_MS + 1).past).toEqual([]);
+  });
+
+  it("treats unreadable data as an empty stack", () => {
+    localStorage.setItem(HISTORY_KEY, "{not json");
+    expect(loadHistory("p1")).toBe(EMPTY_HISTORY);
+  });
+});
@@ -0,0 +1,90 @@
+// IndexedDB storage adapter. Profiles and entries are separate records so a
+// new walk writes one entry rather than the whole log.
+//
+//   meta      "state" -> { version, activeProfileId, shared }
+//   profiles  { id, name, settings, position }
+//   entries   { ...entry, profileId }, keyed by [profileId, id]
+
+import { byDate } from "./dates";
+import { readProfiles } from "./storage";
+
+export const DB_NAME = "mount-doom-tracker";
+const DB_VERSION = 1;
+const STORES = ["meta", "profiles", "entries"];
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function finished(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("IndexedDB transaction aborted"));
+  });
+}
+
+function openDatabase(idb) {
+  const open = idb.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    db.createObjectStore("meta");
+    db.createObjectStore("profiles", { keyPath: "id" });
+    db.createObjectStore("entries", { keyPath: ["profileId", "id"] }).createIndex("profileId", "profileId");
+  };
+  return request(open);
+}
+
+export async function indexedDbAdapter(idb = globalThis.indexedDB) {
+  const db = await openDatabase(idb);
+
+  return {
+    name: "indexedDB",
+
+    async load() {
+      const tx = db.transaction(STORES, "readonly");
+      const [meta, profiles, entries] = await Promise.all([
+        request(tx.objectStore("meta").get("state")),
+        request(tx.objectStore("profiles").getAll()),
+        request(tx.objectStore("entries").getAll())
+      ]);
+      if (!meta) return null;
+
+      const byProfile = new Map();
+      for (const { profileId, ...entry } of entries) {
+        if (!byProfile.has(profileId)) byProfile.set(profileId, []);
+        byProfile.get(profileId).push(entry);
+      }
+      const state = readProfiles({
+        ...meta,
+        profiles: profiles
+          .sort((a, b) => a.position - b.position)
+          .map((p) => ({ ...p, entries: byProfile.get(p.id) ?? [] }))
+      });
+      for (const p of state.profiles) p.entries.sort(byDate);
+      return { state, notice: null };
+    },
+
+    async save(_state, changes) {
+      const tx = db.transaction(STORES, "readwrite");
+      const meta = tx.objectStore("meta");
+      const profiles = tx.objectStore("profiles");
+      const entries = tx.objectStore("entries");
+
+      if (changes.full) STORES.forEach((name) => tx.objectStore(name).clear());
+      if (changes.meta) meta.put(changes.meta, "state");
+      for (const p of changes.putProfiles) profiles.put(p);
+      for (const id of changes.deleteProfiles) {
+        profiles.delete(id);
+        entries.delete(IDBKeyRange.bound([id], [id, []]));
+      }
+      for (const { profileId, entry } of changes.putEntries) entries.put({ ...entry, profileId });
+      for (const { profileId, id } of changes.deleteEntries) entries.delete([profileId, id]);
+
+      await finished(tx);
+    }
+  };
+}
@@ -0,0 +1,101 @@
+// Journeys: the ordered list of milestones a traveller is walking toward.
+// x / y place a stop on lor-map.jpeg as percentages of the image; stops
+// without them are simply left off the map.
+
+const FELLOWSHIP = [
+  { id: "shire", name: "The Shire (Bag End)", miles: 0, event: "The journey begins.", reward: "Pick your playlist.", x: 27, y: 31 },
+  { id: "bree", name: "Bree", miles: 120, event: "You’ve left comfort behind.", reward: "Treat yourself to coffee.", x: 35, y: 30 },
+  { id: "rivendell", name: "Rivendell", miles: 570, event: "A place of rest.", reward: "Buy something new for walking.", x: 50, y: 28 },
+  { id: "moria", name: "Moria", miles: 1030, event: "A tough stretch.", reward: "Movie night: Fellowship.", x: 47, y: 41 },
+  { id: "lothlorien", name: "Lothlórien", miles: 1120, event: "A calm after darkness.", reward: "Stretch + rest day.", x: 52, y: 44 },
+  { id: "gondor", name: "Gondor", miles: 1400, event: "The final push begins.", reward: "New audiobook.", x: 65, y: 69 },
+  { id: "mountdoom", name: "Mount Doom", miles: 1800, event: "The Ring is destroyed.", reward: "Celebrate big.", x: 75, y: 65 }
+];
+
+const SAM_AND_FRODO = [
+  { id: "shire", name: "The Shire (Bag End)", miles: 0, event: "The journey begins.", reward: "Pick your playlist.", x: 27, y: 31 },
+  { id: "bree", name: "Bree", miles: 120, event: "You’ve left comfort behind.", reward: "Treat yourself to coffee.", x: 35, y: 30 },
+  { id: "rivendell", name: "Rivendell", miles: 570, event: "A place of rest.", reward: "Buy something new for walking.", x: 50, y: 28 },
+  { id: "moria", name: "Moria", miles: 1030, event: "A tough stretch.", reward: "Movie night: Fellowship.", x: 47, y: 41 },
+  { id: "lorien", name: "Lothlórien", miles: 1135, event: "Calm checkpoint.", reward: "Take a peaceful walk.", x: 52, y: 44 },
+  { id: "rauros", name: "Rauros", miles: 1540, event: "Hard part begins.", reward: "Write a note to future you.", x: 60, y: 55 },
+  { id: "blackgate", name: "Black Gate", miles: 1685, event: "Final stretch.", reward: "Favorite meal.", x: 70, y: 57 },
+  { id: "cirith", name: "Cirith Ungol", miles: 1740, event: "Rough climb.", reward: "Light day and rest.", x: 70, y: 66 },
+  { id: "doom", name: "Mount Doom", miles: 1800, event: "Quest complete.", reward: "Big celebration.", x: 75, y: 65 }
+];
+
+const THERE_AND_BACK = [
+  { id: "bagend", name: "Bag End", miles: 0, event: "An unexpected party.", reward: "Second breakfast.", x: 27, y: 31 },
+  { id: "trollshaws", name: "The Trollshaws", miles: 340, event: "Trolls turned to stone.", reward: "Pick a new walking route.", x: 45, y: 29 },
+  { id: "rivendell-out", name: "Rivendell", miles: 460, event: "Moon-letters revealed.", reward: "Rest day.", x: 50, y: 28 },
+  { id: "goblintown", name: "Goblin-town", miles: 540, event: "Riddles in the dark.", reward: "Puzzle night.", x: 53, y: 27 },
+  { id: "beorn", name: "Beorn’s Hall", miles: 650, event: "Honey cakes and cream.", reward: "Treat yourself to something sweet.", x: 57, y: 28 },
+  { id: "elvenking", name: "The Elvenking’s Halls", miles: 880, event: "Out of Mirkwood in barrels.", reward: "New socks.", x: 64, y: 22 },
+  { id: "laketown", name: "Lake-town", miles: 950, event: "A warm welcome on the Long Lake.", reward: "Favorite meal.", x: 68, y: 22 },
+  { id: "erebor", name: "The Lonely Mountain", miles: 970, event: "The dragon’s hoard.", reward: "Movie night: The Hobbit.", x: 69, y: 19 },
+  { id: "rivendell-back", name: "Rivendell (homeward)", miles: 1480, event: "Back again by the fire.", reward: "Long bath.", x: 50, y: 28 },
+  { id: "bagend-home", name: "Bag End (home)", miles: 1950, event: "There and back again.", reward: "Celebrate big.", x: 27, y: 31 }
+];
+
+export const JOURNEY_PRESETS = [
+  { id: "fellowship", name: "Fellowship route", milestones: FELLOWSHIP },
+  { id: "samfrodo", name: "Sam & Frodo full route", milestones: SAM_AND_FRODO },
+  { id: "thereandback", name: "There and Back Again", milestones: THERE_AND_BACK }
+];
+
+export const DEFAULT_JOURNEY = { presetId: "fellowship", name: "Fellowship route", milestones: FELLOWSHIP };
+
+export function journeyFromPreset(presetId) {
+  const preset = JOURNEY_PRESETS.find((p) => p.id === presetId) || JOURNEY_PRESETS[0];
+  return { presetId: preset.id, name: preset.name, milestones: preset.milestones.map((m) => ({ ...m })) };
+}
+
+export function journeyFromSettings(settings = {}) {
+  const j = settings.journey;
+  if (j && Array.isArray(j.milestones) && validateMilestones(j.milestones).length === 0) return j;
+  return DEFAULT_JOURNEY;
+}
+
+export function getUnlockedMilestone(milestones, miles) {
+  return [...milestones].reverse().find((m) => miles >= m.miles) || milestones[0];
+}
+
+export function getNextMilestone(milestones, miles) {
+  return milestones.find((m) => m.miles > miles) || null;
+}
+
+// Returns a list of problems; an empty list means the stops can be used.
+export function validateMilestones(milestones) {
+  const errors = [];
+  if (milestones.length < 2) errors.push("A journey needs at least two stops.");
+  if (milestones.some((m) => !String(m.name ?? "").trim())) errors.push("Every stop needs a name.");
+  if (milestones.some((m) => !Number.isFinite(m.miles) || m.miles < 0)) {
+    errors.push("Every stop needs a distance of 0 or more.");
+  }
+  if (milestones.length > 0 && milestones[0].miles !== 0) errors.push("The first stop must be at 0 miles.");
+  for (let i = 1; i < milestones.length; i++) {
+    if (milestones[i].miles <= milestones[i - 1].miles) {
+      errors.push(`“${milestones[i].name}” must be further along than “${milestones[i - 1].name}”.`);
+    }
+  }
+  if (new Set(milestones.map((m) => m.id)).size !== milestones.length) errors.push("Stop ids must be unique.");
+  return errors;
+}
+
+export function makeMilestoneId(name, existing) {
+  const base =
+    String(name || "stop")
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "stop";
+  const taken = new Set(existing.map((m) => m.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Stops passed when the total goes from `from` to `to` miles, in route order.
+export function milestonesCrossed(milestones, from, to) {
+  return milestones.filter((m) => m.miles > from && m.miles <= to);
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_JOURNEY,
+  JOURNEY_PRESETS,
+  getNextMilestone,
+  getUnlockedMilestone,
+  journeyFromPreset,
+  journeyFromSettings,
+  makeMilestoneId,
+  validateMilestones
+} from "./journeys";
+
+const stops = [
+  { id: "a", name: "A", miles: 0 },
+  { id: "b", name: "B", miles: 10 },
+  { id: "c", name: "C", miles: 25 }
+];
+
+describe("getUnlockedMilestone / getNextMilestone", () => {
+  it("use whichever stops they are given", () => {
+    expect(getUnlockedMilestone(stops, 0).id).toBe("a");
+    expect(getUnlockedMilestone(stops, 10).id).toBe("b");
+    expect(getUnlockedMilestone(stops, 24.9).id).toBe("b");
+    expect(getNextMilestone(stops, 10).id).toBe("c");
+    expect(getNextMilestone(stops, 25)).toBeNull();
+  });
+});
+
+describe("presets", () => {
+  it("are all valid journeys", () => {
+    for (const preset of JOURNEY_PRESETS) expect(validateMilestones(preset.milestones)).toEqual([]);
+  });
+
+  it("are copied so edits don't leak into the preset", () => {
+    const j = journeyFromPreset("samfrodo");
+    j.milestones[1].miles = 5;
+    expect(JOURNEY_PRESETS[1].milestones[1].miles).toBe(120);
+  });
+});
+
+describe("journeyFromSettings", () => {
+  it("falls back to the default journey when nothing valid is saved", () => {
+    expect(journeyFromSettings({})).toBe(DEFAULT_JOURNEY);
+    expect(journeyFromSettings({ journey: { name: "x", milestones: [stops[1]] } })).toBe(DEFAULT_JOURNEY);
+    const journey = { name: "Mine", milestones: stops };
+    expect(journeyFromSettings({ journey })).toBe(journey);
+  });
+});
+
+describe("validateMilestones", () => {
+  it("requires a 0-mile start and strictly increasing distances", () => {
+    expect(validateMilestones([{ id: "a", name: "A", miles: 5 }, stops[1]])).toContain(
+      "The first stop must be at 0 miles."
+    );
+    expect(validateMilestones([stops[0], stops[2], stops[1]])).toHaveLength(1);
+  });
+
+  it("rejects blank names and duplicate ids", () => {
+    expect(validateMilestones([stops[0], { ...stops[1], name: " " }])).toEqual(["Every stop needs a name."]);
+    expect(validateMilestones([stops[0], { ...stops[1], id: "a" }])).toEqual(["Stop ids must be unique."]);
+  });
+});
+
+describe("makeMilestoneId", () => {
+  it("slugifies the name and avoids existing ids", () => {
+    expect(makeMilestoneId("Helm’s Deep", [])).toBe("helm-s-deep");
+    expect(makeMilestoneId("A", stops)).toBe("a-2");
+    expect(makeMilestoneId("", [])).toBe("stop");
+  });
+});
@@ -1,11 +1,29 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import LoadError from "./LoadError";
+import { openStorage } from "./store";
+import { applyTheme, loadThemeChoice, resolveTheme } from "./themes";
 import "./styles.css";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
+// Before the first render, so the page never flashes the wrong colours.
+applyTheme(resolveTheme(loadThemeChoice(), window.matchMedia("(prefers-color-scheme: dark)").matches));
+
+// Saved data is read before the first render so the tracker starts with it.
+openStorage().then(
+  (storage) => {
+    ReactDOM.createRoot(document.getElementById("root")).render(
+      <React.StrictMode>
+        <App storage={storage} />
+      </React.StrictMode>
+    );
+  },
+  (error) => {
+    ReactDOM.createRoot(document.getElementById("root")).render(<LoadError error={error} />);
+  }
 );
 
+// Only in builds: the dev server has no sw.js and serves unhashed modules.
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => navigator.serviceWorker.register("/sw.js"));
+}
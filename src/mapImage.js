@@ -0,0 +1,5 @@
+// The journey map picture. It has a module of its own so tests that render
+// the map can mock it instead of loading the image.
+import lorMap from "./assets/lor-map.jpeg";
+
+export default lorMap;
@@ -0,0 +1,18 @@
+// Media-query hook for the few layout decisions inline styles can't make.
+
+import { useSyncExternalStore } from "react";
+
+// Phones, and narrow windows on anything else.
+export const NARROW_QUERY = "(max-width: 720px)";
+
+export function useMediaQuery(query) {
+  return useSyncExternalStore(
+    (onChange) => {
+      const list = window.matchMedia(query);
+      list.addEventListener("change", onChange);
+      return () => list.removeEventListener("change", onChange);
+    },
+    () => window.matchMedia(query).matches,
+    () => false
+  );
+}
@@ -0,0 +1,115 @@
+// The tracker's quest logic, kept free of React so it can be tested on its
+// own. Changes to a traveller's log are actions applied reducer-style:
+//
+//   { type: "add", entry }
+//   { type: "edit", id, changes }       (changes: any of miles, raw, date)
+//   { type: "delete", id }
+//   { type: "import", entries }
+//
+// applyAction() also reports which stops the change reached or gave back, as
+// milestone events, so MountDoomTracker only has to decide what to show.
+//
+// The day each stop was first reached is kept in settings.reachedAt as
+// { [milestoneId]: "YYYY-MM-DD" }. Giving a stop back doesn't erase it.
+
+import { byDate } from "./dates";
+import { getNextMilestone, getUnlockedMilestone, milestonesCrossed } from "./journeys";
+import { milestoneLegs } from "./stats";
+import { fmtDist } from "./units";
+
+export function totalOf(entries) {
+  return entries.reduce((sum, e) => sum + e.miles, 0);
+}
+
+// Where the traveller stands: the stop they're at, the next one, and how far
+// through the leg between them (0–100).
+export function questProgress(milestones, totalMiles) {
+  const current = getUnlockedMilestone(milestones, totalMiles);
+  const next = getNextMilestone(milestones, totalMiles);
+  if (!next) return { current, next, milesToNext: 0, percent: 100 };
+  const span = Math.max(1, next.miles - current.miles);
+  const into = Math.min(span, Math.max(0, totalMiles - current.miles));
+  return { current, next, milesToNext: Math.max(0, next.miles - totalMiles), percent: (into / span) * 100 };
+}
+
+// Returns the next log, sorted by date. Edits and deletes of an unknown id
+// leave the log as it was.
+export function reduceEntries(entries, action) {
+  switch (action.type) {
+    case "add":
+      return [...entries, action.entry].sort(byDate);
+    case "edit":
+      if (!entries.some((e) => e.id === action.id)) return entries;
+      return entries.map((e) => (e.id === action.id ? { ...e, ...action.changes, edited: true } : e)).sort(byDate);
+    case "delete":
+      if (!entries.some((e) => e.id === action.id)) return entries;
+      return entries.filter((e) => e.id !== action.id);
+    case "import":
+      return action.entries.length === 0 ? entries : [...entries, ...action.entries].sort(byDate);
+    default:
+      throw new Error(`Unknown quest action: ${action.type}`);
+  }
+}
+
+// One event per stop the total moved past: { type: "reached", milestone } in
+// route order going up, { type: "relocked", milestone } furthest first going
+// down.
+export function milestoneEvents(milestones, before, after) {
+  if (after > before) return milestonesCrossed(milestones, before, after).map((milestone) => ({ type: "reached", milestone }));
+  if (after < before) {
+    return milestonesCrossed(milestones, after, before)
+      .reverse()
+      .map((milestone) => ({ type: "relocked", milestone }));
+  }
+  return [];
+}
+
+// Applies an action and works out its effect on the route: `reached` lists the
+// stops newly passed in route order, `relocked` those given back by an edit or
+// delete, furthest first, and `events` both as milestone events.
+export function applyAction(milestones, entries, action) {
+  const next = reduceEntries(entries, action);
+  const before = totalOf(entries);
+  const after = totalOf(next);
+  const events = milestoneEvents(milestones, before, after);
+  return {
+    entries: next,
+    before,
+    after,
+    events,
+    reached: events.filter((e) => e.type === "reached").map((e) => e.milestone),
+    relocked: events.filter((e) => e.type === "relocked").map((e) => e.milestone)
+  };
+}
+
+// Adds the day for stops reached for the first time. The day comes from the
+// log (`entries` after the change), the same way backfillReached works it
+// out, so a backdated walk dates the stop to when it was really reached.
+export function recordReached(reachedAt, events, milestones, entries) {
+  const fresh = new Set(events.filter((e) => e.type === "reached" && !reachedAt[e.milestone.id]).map((e) => e.milestone.id));
+  if (fresh.size === 0) return reachedAt;
+  const days = milestoneLegs(milestones, entries).filter((leg) => leg.day && fresh.has(leg.milestone.id));
+  return { ...reachedAt, ...Object.fromEntries(days.map((leg) => [leg.milestone.id, leg.day])) };
+}
+
+// Fills in stops the log already passes but that have no date yet (progress
+// from before dates were kept, an import or a sync), using the day the
+// running total got there.
+export function backfillReached(reachedAt, milestones, entries) {
+  const missing = milestoneLegs(milestones, entries).filter((leg) => leg.day && !reachedAt[leg.milestone.id]);
+  if (missing.length === 0) return reachedAt;
+  return { ...reachedAt, ...Object.fromEntries(missing.map((leg) => [leg.milestone.id, leg.day])) };
+}
+
+// The toast for one milestone event; `totalMiles` is the total after it.
+export function milestoneMessage(event, milestones, totalMiles, unit = "mi") {
+  const m = event.milestone;
+  if (event.type === "relocked") {
+    return `🔒 ${m.name} is locked again: ${fmtDist(m.miles - totalMiles, unit)} ${unit} to go to get it back.`;
+  }
+  const isLast = m.id === milestones[milestones.length - 1].id;
+  const parts = [isLast ? `🏔️ Journey complete: you reached ${m.name}!` : `🎉 Reached ${m.name}!`];
+  if (m.event) parts.push(m.event);
+  if (m.reward) parts.push(`Reward: ${m.reward}`);
+  return parts.join(" ");
+}
@@ -0,0 +1,163 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyAction,
+  backfillReached,
+  milestoneEvents,
+  milestoneMessage,
+  questProgress,
+  recordReached,
+  reduceEntries,
+  totalOf
+} from "./questCore";
+import { walk } from "./testFixtures";
+
+const stops = [
+  { id: "start", name: "Start", miles: 0 },
+  { id: "a", name: "A", miles: 10 },
+  { id: "b", name: "B", miles: 20 },
+  { id: "c", name: "C", miles: 30 }
+];
+
+describe("questProgress", () => {
+  it("measures the current leg", () => {
+    expect(questProgress(stops, 15)).toMatchObject({ current: stops[1], next: stops[2], milesToNext: 5, percent: 50 });
+  });
+
+  it("counts an exact boundary as reached", () => {
+    expect(questProgress(stops, 10)).toMatchObject({ current: stops[1], next: stops[2], milesToNext: 10, percent: 0 });
+    expect(questProgress(stops, 9.99).current).toBe(stops[0]);
+  });
+
+  it("is complete at and beyond the last stop", () => {
+    expect(questProgress(stops, 30)).toMatchObject({ current: stops[3], next: null, milesToNext: 0, percent: 100 });
+    expect(questProgress(stops, 45)).toMatchObject({ current: stops[3], next: null, percent: 100 });
+  });
+});
+
+describe("reduceEntries", () => {
+  const log = [walk("1", 2, "01"), walk("2", 3, "03")];
+
+  it("adds and imports in date order", () => {
+    expect(reduceEntries(log, { type: "add", entry: walk("3", 1, "02") }).map((e) => e.id)).toEqual(["1", "3", "2"]);
+    expect(reduceEntries(log, { type: "import", entries: [walk("4", 1, "04"), walk("5", 1, "30", "06")] }).map((e) => e.id)).toEqual([
+      "5",
+      "1",
+      "2",
+      "4"
+    ]);
+  });
+
+  it("edits by id, marks the entry edited and re-sorts", () => {
+    const next = reduceEntries(log, { type: "edit", id: "1", changes: { miles: 4, date: "2026-07-05T08:00:00.000Z" } });
+    expect(next.map((e) => e.id)).toEqual(["2", "1"]);
+    expect(next[1]).toMatchObject({ miles: 4, edited: true });
+    expect(next[0]).toBe(log[1]);
+  });
+
+  it("deletes by id", () => {
+    expect(reduceEntries(log, { type: "delete", id: "1" })).toEqual([log[1]]);
+  });
+
+  it("leaves the log alone for unknown ids and empty imports", () => {
+    expect(reduceEntries(log, { type: "edit", id: "x", changes: { miles: 1 } })).toBe(log);
+    expect(reduceEntries(log, { type: "delete", id: "x" })).toBe(log);
+    expect(reduceEntries(log, { type: "import", entries: [] })).toBe(log);
+  });
+
+  it("rejects unknown actions", () => {
+    expect(() => reduceEntries(log, { type: "nope" })).toThrow(/Unknown quest action/);
+  });
+});
+
+describe("applyAction", () => {
+  const log = [walk("1", 6, "01"), walk("2", 3, "02")];
+
+  it("reaches a stop exactly on its boundary", () => {
+    const result = applyAction(stops, log, { type: "add", entry: walk("3", 1, "03") });
+    expect(result.after).toBe(10);
+    expect(result.reached).toEqual([stops[1]]);
+    expect(result.relocked).toEqual([]);
+  });
+
+  it("reports every stop crossed by one long entry, in route order", () => {
+    const result = applyAction(stops, log, { type: "add", entry: walk("3", 25, "03") });
+    expect(result.reached.map((m) => m.id)).toEqual(["a", "b", "c"]);
+  });
+
+  it("reports stops given back when an edit drops below them", () => {
+    const long = [...log, walk("3", 12, "03")]; // 21 miles: past A and B
+    const result = applyAction(stops, long, { type: "edit", id: "3", changes: { miles: 0.5 } });
+    expect(totalOf(result.entries)).toBe(9.5);
+    expect(result.relocked.map((m) => m.id)).toEqual(["b", "a"]);
+    expect(result.reached).toEqual([]);
+  });
+
+  it("reports nothing for changes within a leg", () => {
+    const result = applyAction(stops, log, { type: "delete", id: "2" });
+    expect(result).toMatchObject({ before: 9, after: 6, reached: [], relocked: [] });
+  });
+
+  it("never re-locks the starting stop", () => {
+    const result = applyAction(stops, log, { type: "delete", id: "1" });
+    expect(applyAction(stops, result.entries, { type: "delete", id: "2" }).relocked).toEqual([]);
+  });
+});
+
+describe("milestoneEvents", () => {
+  it("emits every stop crossed, in the order they were crossed", () => {
+    expect(milestoneEvents(stops, 5, 25).map((e) => `${e.type}:${e.milestone.id}`)).toEqual(["reached:a", "reached:b"]);
+    expect(milestoneEvents(stops, 30, 10).map((e) => `${e.type}:${e.milestone.id}`)).toEqual(["relocked:c", "relocked:b"]);
+    expect(milestoneEvents(stops, 12, 12)).toEqual([]);
+  });
+});
+
+describe("recordReached / backfillReached", () => {
+  const reached = (...ids) => ids.map((id) => ({ type: "reached", milestone: stops.find((m) => m.id === id) }));
+
+  it("keeps the first day a stop was reached", () => {
+    const log = [{ id: "1", miles: 25, date: new Date(2026, 6, 1, 9).toISOString() }];
+    const first = recordReached({}, reached("a", "b"), stops, log);
+    expect(first).toEqual({ a: "2026-07-01", b: "2026-07-01" });
+    expect(recordReached(first, reached("b"), stops, log)).toBe(first);
+    expect(recordReached(first, [{ type: "relocked", milestone: stops[2] }], stops, log)).toBe(first);
+  });
+
+  it("dates a stop reached by a backdated walk to the day the total got there", () => {
+    const log = [
+      { id: "1", miles: 8, date: new Date(2026, 6, 9, 9).toISOString() },
+      { id: "2", miles: 15, date: new Date(2026, 6, 2, 9).toISOString() }
+    ];
+    const recorded = recordReached({}, reached("a", "b"), stops, log);
+    expect(recorded).toEqual({ a: "2026-07-02", b: "2026-07-09" });
+    expect(recorded).toEqual(backfillReached({}, stops, log));
+  });
+
+  it("backfills from the log only what is missing", () => {
+    const log = [
+      { id: "1", miles: 12, date: new Date(2026, 6, 1, 9).toISOString() },
+      { id: "2", miles: 9, date: new Date(2026, 6, 4, 9).toISOString() }
+    ];
+    expect(backfillReached({}, stops, log)).toEqual({ a: "2026-07-01", b: "2026-07-04" });
+    const known = { a: "2026-06-20", b: "2026-06-25" };
+    expect(backfillReached(known, stops, log)).toBe(known);
+  });
+});
+
+describe("milestoneMessage", () => {
+  const route = [
+    { id: "start", name: "Start", miles: 0 },
+    { id: "bree", name: "Bree", miles: 10, event: "Comfort left behind.", reward: "Coffee." },
+    { id: "end", name: "Doom", miles: 20, event: "", reward: "" }
+  ];
+
+  it("celebrates a stop, and the end of the road", () => {
+    expect(milestoneMessage({ type: "reached", milestone: route[1] }, route, 11)).toBe("🎉 Reached Bree! Comfort left behind. Reward: Coffee.");
+    expect(milestoneMessage({ type: "reached", milestone: route[2] }, route, 20)).toBe("🏔️ Journey complete: you reached Doom!");
+  });
+
+  it("says how far back a re-locked stop is", () => {
+    expect(milestoneMessage({ type: "relocked", milestone: route[1] }, route, 7.5)).toBe(
+      `🔒 Bree is locked again: ${(2.5).toLocaleString()} mi to go to get it back.`
+    );
+  });
+});
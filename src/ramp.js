@@ -0,0 +1,102 @@
+// Ramp-up training plan: blocks of weeks at a fixed miles/day, then a cap.
+// Dates are local calendar days as "YYYY-MM-DD" strings.
+
+import { daysBetween, localDateISO } from "./dates";
+
+// Default ramp plan: 4-week blocks, then cap at 5
+export const DEFAULT_RAMP_STAGES = [
+  { weeks: 4, milesPerDay: 2.0 },
+  { weeks: 4, milesPerDay: 2.5 },
+  { weeks: 4, milesPerDay: 3.0 },
+  { weeks: 4, milesPerDay: 3.5 },
+  { weeks: 4, milesPerDay: 4.0 },
+  { weeks: 4, milesPerDay: 4.5 }
+];
+
+export const DEFAULT_PLAN = {
+  planEnabled: false,
+  planStartDate: null,
+  capMiles: 5,
+  daysPerWeek: 7,
+  rampStages: DEFAULT_RAMP_STAGES
+};
+
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function getStageForDayIndex(dayIndex, stages) {
+  let remaining = dayIndex;
+  for (let i = 0; i < stages.length; i++) {
+    const days = stages[i].weeks * 7;
+    if (remaining < days) return { stageIndex: i, milesPerDay: stages[i].milesPerDay };
+    remaining -= days;
+  }
+  return { stageIndex: stages.length, milesPerDay: null };
+}
+
+// The first `daysPerWeek` days of each plan week are walking days.
+function isActiveDay(dayIndex, daysPerWeek) {
+  return dayIndex % 7 < daysPerWeek;
+}
+
+function plannedMilesForDayIndex(dayIndex, plan) {
+  if (!isActiveDay(dayIndex, plan.daysPerWeek)) return 0;
+  return getStageForDayIndex(dayIndex, plan.rampStages).milesPerDay ?? plan.capMiles;
+}
+
+export function plannedMilesThroughDate(plan, targetISO) {
+  if (!plan.planStartDate || !targetISO) return 0;
+  const totalDays = daysBetween(plan.planStartDate, targetISO) + 1;
+
+  let sum = 0;
+  for (let i = 0; i < totalDays; i++) sum += plannedMilesForDayIndex(i, plan);
+  return sum;
+}
+
+export function todaysPlannedMiles(plan, todayISO) {
+  if (!plan.planStartDate) return 0;
+  const dayIndex = daysBetween(plan.planStartDate, todayISO);
+  if (dayIndex < 0) return 0;
+  return plannedMilesForDayIndex(dayIndex, plan);
+}
+
+export function currentStageIndex(plan, todayISO) {
+  if (!plan.planStartDate) return null;
+  const dayIndex = daysBetween(plan.planStartDate, todayISO);
+  if (dayIndex < 0) return null;
+  return getStageForDayIndex(dayIndex, plan.rampStages).stageIndex;
+}
+
+// Only walks on or after the plan start count toward the plan.
+export function milesLoggedSince(entries, startISO) {
+  if (!startISO) return 0;
+  return entries
+    .filter((e) => localDateISO(e.date) >= startISO)
+    .reduce((sum, e) => sum + e.miles, 0);
+}
+
+// Positive means ahead of plan, negative means behind.
+export function aheadOfPlan(plan, entries, todayISO) {
+  return milesLoggedSince(entries, plan.planStartDate) - plannedMilesThroughDate(plan, todayISO);
+}
+
+export function normalizeStage(stage, capMiles) {
+  return {
+    weeks: clamp(Math.round(Number(stage.weeks) || 1), 1, 52),
+    milesPerDay: clamp(Number(stage.milesPerDay) || 0, 0.5, Number(capMiles) || DEFAULT_PLAN.capMiles)
+  };
+}
+
+export function planFromSettings(settings = {}) {
+  return {
+    planEnabled: settings.planEnabled ?? DEFAULT_PLAN.planEnabled,
+    planStartDate: settings.planStartDate || null,
+    capMiles: Number(settings.capMiles) || DEFAULT_PLAN.capMiles,
+    daysPerWeek: clamp(Math.round(Number(settings.daysPerWeek) || 7), 1, 7),
+    rampStages:
+      Array.isArray(settings.rampStages) && settings.rampStages.length > 0
+        ? settings.rampStages
+        : DEFAULT_RAMP_STAGES
+  };
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_RAMP_STAGES,
+  aheadOfPlan,
+  currentStageIndex,
+  milesLoggedSince,
+  normalizeStage,
+  planFromSettings,
+  plannedMilesThroughDate,
+  todaysPlannedMiles
+} from "./ramp";
+import { daysBetween } from "./dates";
+import { walkOn } from "./testFixtures";
+
+const plan = (overrides = {}) =>
+  planFromSettings({ planEnabled: true, planStartDate: "2025-03-01", ...overrides });
+
+describe("daysBetween", () => {
+  it("counts calendar days, including across a DST change", () => {
+    expect(daysBetween("2025-03-01", "2025-03-01")).toBe(0);
+    expect(daysBetween("2025-03-01", "2025-04-01")).toBe(31);
+    expect(daysBetween("2025-03-02", "2025-03-01")).toBe(-1);
+  });
+});
+
+describe("plannedMilesThroughDate", () => {
+  it("sums the first stage day by day, inclusive of the target", () => {
+    expect(plannedMilesThroughDate(plan(), "2025-03-01")).toBe(2);
+    expect(plannedMilesThroughDate(plan(), "2025-03-07")).toBe(14);
+  });
+
+  it("moves to the next stage after its weeks run out", () => {
+    // 28 days at 2.0, then 2 days at 2.5
+    expect(plannedMilesThroughDate(plan(), "2025-03-30")).toBe(28 * 2 + 2 * 2.5);
+  });
+
+  it("falls back to the cap once every stage is done", () => {
+    const p = plan({ rampStages: [{ weeks: 1, milesPerDay: 1 }], capMiles: 6 });
+    expect(plannedMilesThroughDate(p, "2025-03-09")).toBe(7 + 2 * 6);
+  });
+
+  it("skips rest days when walking fewer than 7 days a week", () => {
+    expect(plannedMilesThroughDate(plan({ daysPerWeek: 5 }), "2025-03-14")).toBe(10 * 2);
+  });
+
+  it("is zero before the plan starts or without a start date", () => {
+    expect(plannedMilesThroughDate(plan(), "2025-02-28")).toBe(0);
+    expect(plannedMilesThroughDate(plan({ planStartDate: null }), "2025-03-10")).toBe(0);
+  });
+});
+
+describe("todaysPlannedMiles", () => {
+  it("returns the stage target on walking days and zero on rest days", () => {
+    const p = plan({ daysPerWeek: 5 });
+    expect(todaysPlannedMiles(p, "2025-03-05")).toBe(2);
+    expect(todaysPlannedMiles(p, "2025-03-06")).toBe(0);
+    expect(todaysPlannedMiles(p, "2025-03-29")).toBe(2.5);
+  });
+
+  it("is zero before the plan starts", () => {
+    expect(todaysPlannedMiles(plan(), "2025-02-01")).toBe(0);
+  });
+});
+
+describe("currentStageIndex", () => {
+  it("reports the active stage, or the stage count once capped", () => {
+    expect(currentStageIndex(plan(), "2025-03-01")).toBe(0);
+    expect(currentStageIndex(plan(), "2025-03-29")).toBe(1);
+    expect(currentStageIndex(plan(), "2026-03-01")).toBe(DEFAULT_RAMP_STAGES.length);
+    expect(currentStageIndex(plan(), "2025-02-01")).toBeNull();
+  });
+});
+
+describe("aheadOfPlan", () => {
+  it("compares miles since the plan started with miles planned to date", () => {
+    const entries = [walkOn("2025-02-20", 50), walkOn("2025-03-01", 3), walkOn("2025-03-02", 2.5)];
+    expect(milesLoggedSince(entries, "2025-03-01")).toBe(5.5);
+    expect(aheadOfPlan(plan(), entries, "2025-03-02")).toBe(1.5);
+    expect(aheadOfPlan(plan(), entries, "2025-03-04")).toBe(-2.5);
+  });
+});
+
+describe("planFromSettings", () => {
+  it("fills in defaults for missing or bad values", () => {
+    expect(planFromSettings({})).toEqual({
+      planEnabled: false,
+      planStartDate: null,
+      capMiles: 5,
+      daysPerWeek: 7,
+      rampStages: DEFAULT_RAMP_STAGES
+    });
+    expect(planFromSettings({ daysPerWeek: 12, rampStages: [] }).daysPerWeek).toBe(7);
+  });
+});
+
+describe("normalizeStage", () => {
+  it("keeps weeks whole and miles/day between 0.5 and the cap", () => {
+    expect(normalizeStage({ weeks: "2.6", milesPerDay: "9" }, 5)).toEqual({ weeks: 3, milesPerDay: 5 });
+    expect(normalizeStage({ weeks: 0, milesPerDay: 0 }, 5)).toEqual({ weeks: 1, milesPerDay: 0.5 });
+  });
+});
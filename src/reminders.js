@@ -0,0 +1,47 @@
+// Daily walk reminders. Settings live per traveller in settings.reminder as
+// { enabled, time: "HH:MM", onlyIfNotLogged }. While the tracker is open it
+// times the reminder itself; sw.js repeats the same check for when it's
+// closed (see Reminders.jsx).
+
+import { localDateISO } from "./dates";
+import { fmtDist } from "./units";
+
+export const DEFAULT_REMINDER = { enabled: false, time: "19:00", onlyIfNotLogged: true };
+
+export function reminderFromSettings(settings = {}) {
+  const saved = settings.reminder ?? {};
+  return {
+    enabled: Boolean(saved.enabled),
+    time: /^\d{2}:\d{2}$/.test(saved.time ?? "") ? saved.time : DEFAULT_REMINDER.time,
+    onlyIfNotLogged: saved.onlyIfNotLogged ?? DEFAULT_REMINDER.onlyIfNotLogged
+  };
+}
+
+// The next time the reminder is due, today if it hasn't passed yet.
+export function nextReminderAt(reminder, now = new Date()) {
+  const [h, m] = reminder.time.split(":").map(Number);
+  const at = new Date(now);
+  at.setHours(h, m, 0, 0);
+  if (at <= now) at.setDate(at.getDate() + 1);
+  return at;
+}
+
+export function loggedOn(entries, dayISO) {
+  return entries.some((e) => localDateISO(e.date) === dayISO);
+}
+
+export function shouldRemind(reminder, entries, now = new Date()) {
+  if (!reminder.enabled) return false;
+  return !reminder.onlyIfNotLogged || !loggedOn(entries, localDateISO(now));
+}
+
+// `target` is today's planned miles, or null when there's no plan to follow.
+export function reminderMessage({ nextMilestone, milesToNext, target, unit = "mi" }) {
+  const parts = [
+    nextMilestone
+      ? `${fmtDist(milesToNext, unit)} ${unit} to ${nextMilestone.name}.`
+      : "You’ve reached the end of the road, but the road goes ever on."
+  ];
+  if (target > 0) parts.push(`Today’s target: ${fmtDist(target, unit)} ${unit}.`);
+  return { title: "Time for a walk?", body: parts.join(" ") };
+}
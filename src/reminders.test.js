@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { nextReminderAt, reminderFromSettings, reminderMessage, shouldRemind } from "./reminders";
+
+const at = (day, time) => new Date(`${day}T${time}:00`);
+const walk = (day) => ({ id: day, miles: 2, date: at(day, "08:00").toISOString() });
+
+describe("reminderFromSettings", () => {
+  it("fills in defaults and ignores a malformed time", () => {
+    expect(reminderFromSettings({})).toEqual({ enabled: false, time: "19:00", onlyIfNotLogged: true });
+    expect(reminderFromSettings({ reminder: { enabled: true, time: "7pm" } }).time).toBe("19:00");
+  });
+});
+
+describe("nextReminderAt", () => {
+  it("is later today until the time passes, then tomorrow", () => {
+    const reminder = { time: "19:00" };
+    expect(nextReminderAt(reminder, at("2026-07-01", "12:00"))).toEqual(at("2026-07-01", "19:00"));
+    expect(nextReminderAt(reminder, at("2026-07-01", "19:00"))).toEqual(at("2026-07-02", "19:00"));
+  });
+});
+
+describe("shouldRemind", () => {
+  const reminder = { enabled: true, time: "19:00", onlyIfNotLogged: true };
+
+  it("stays quiet once today has a walk", () => {
+    expect(shouldRemind(reminder, [walk("2026-06-30")], at("2026-07-01", "19:00"))).toBe(true);
+    expect(shouldRemind(reminder, [walk("2026-07-01")], at("2026-07-01", "19:00"))).toBe(false);
+  });
+
+  it("always nudges when asked to, and never when off", () => {
+    expect(shouldRemind({ ...reminder, onlyIfNotLogged: false }, [walk("2026-07-01")], at("2026-07-01", "19:00"))).toBe(true);
+    expect(shouldRemind({ ...reminder, enabled: false }, [], at("2026-07-01", "19:00"))).toBe(false);
+  });
+});
+
+describe("reminderMessage", () => {
+  it("names the next stop and today's target", () => {
+    const { body } = reminderMessage({ nextMilestone: { name: "Bree" }, milesToNext: 12.34, target: 2.5 });
+    expect(body).toBe(`${(12.3).toLocaleString()} mi to Bree. Today’s target: ${(2.5).toLocaleString()} mi.`);
+  });
+
+  it("leaves the target out without a plan and converts units", () => {
+    const { body } = reminderMessage({ nextMilestone: { name: "Bree" }, milesToNext: 10, target: null, unit: "km" });
+    expect(body).toBe(`${(16.1).toLocaleString()} km to Bree.`);
+  });
+});
@@ -0,0 +1,34 @@
+// Milestone rewards. The reward text itself lives on each stop of the journey
+// (so it travels with the route); whether it has been claimed is kept per
+// traveller in settings.rewards as { [milestoneId]: { claimedAt, note, photo } },
+// where claimedAt is a "YYYY-MM-DD" day and photo an optional data: URL.
+
+export function claimsFromSettings(settings = {}) {
+  const saved = settings.rewards;
+  return saved && typeof saved === "object" ? saved : {};
+}
+
+// Stops reached whose reward hasn't been claimed yet, in route order.
+export function rewardsOwed(milestones, totalMiles, claims) {
+  return milestones.filter((m) => m.miles <= totalMiles && String(m.reward ?? "").trim() && !claims[m.id]);
+}
+
+export function claimReward(claims, milestoneId, { claimedAt, note = "", photo = null }) {
+  const claim = { claimedAt, note: note.trim() };
+  if (photo) claim.photo = photo;
+  return { ...claims, [milestoneId]: claim };
+}
+
+export function unclaimReward(claims, milestoneId) {
+  const { [milestoneId]: removed, ...rest } = claims;
+  return removed ? rest : claims;
+}
+
+// Changing a reward edits the route, so it no longer matches its preset.
+export function withReward(journey, milestoneId, reward) {
+  return {
+    ...journey,
+    presetId: null,
+    milestones: journey.milestones.map((m) => (m.id === milestoneId ? { ...m, reward: reward.trim() } : m))
+  };
+}
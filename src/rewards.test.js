@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { claimReward, claimsFromSettings, rewardsOwed, unclaimReward, withReward } from "./rewards";
+
+const stops = [
+  { id: "a", name: "A", miles: 0, reward: "Playlist" },
+  { id: "b", name: "B", miles: 10, reward: "" },
+  { id: "c", name: "C", miles: 25, reward: "Coffee" },
+  { id: "d", name: "D", miles: 40, reward: "Cake" }
+];
+
+describe("claimsFromSettings", () => {
+  it("starts empty", () => {
+    expect(claimsFromSettings({})).toEqual({});
+    expect(claimsFromSettings({ rewards: "nope" })).toEqual({});
+  });
+});
+
+describe("rewardsOwed", () => {
+  it("lists reached stops with an unclaimed reward", () => {
+    expect(rewardsOwed(stops, 30, {}).map((m) => m.id)).toEqual(["a", "c"]);
+    expect(rewardsOwed(stops, 30, { a: { claimedAt: "2026-07-01" } }).map((m) => m.id)).toEqual(["c"]);
+    expect(rewardsOwed(stops, 24.9, { a: { claimedAt: "2026-07-01" } })).toEqual([]);
+  });
+});
+
+describe("claimReward / unclaimReward", () => {
+  it("records the day, note and photo, and can take it back", () => {
+    const claims = claimReward({}, "c", { claimedAt: "2026-07-02", note: "  Flat white ", photo: "data:image/jpeg;base64,xx" });
+    expect(claims).toEqual({ c: { claimedAt: "2026-07-02", note: "Flat white", photo: "data:image/jpeg;base64,xx" } });
+    expect(claimReward({}, "c", { claimedAt: "2026-07-02" }).c).toEqual({ claimedAt: "2026-07-02", note: "" });
+    expect(unclaimReward(claims, "c")).toEqual({});
+    expect(unclaimReward(claims, "a")).toBe(claims);
+  });
+});
+
+describe("withReward", () => {
+  it("changes one stop's reward and detaches the preset", () => {
+    const journey = { presetId: "fellowship", name: "Route", milestones: stops };
+    const next = withReward(journey, "c", " Tea ");
+    expect(next.presetId).toBeNull();
+    expect(next.milestones.find((m) => m.id === "c").reward).toBe("Tea");
+    expect(next.milestones[0]).toBe(stops[0]);
+  });
+});
@@ -0,0 +1,96 @@
+// Aggregates over entries for the statistics view. Days are local dates.
+
+import { addDays, daysBetween, localDateISO } from "./dates";
+
+// Monday of the week containing `day`.
+export function weekStart(day) {
+  const dow = (new Date(day + "T00:00:00").getDay() + 6) % 7;
+  return addDays(day, -dow);
+}
+
+function monthOf(day) {
+  return day.slice(0, 7);
+}
+
+function totalsBy(entries, keyOf) {
+  const totals = new Map();
+  for (const e of entries) {
+    const key = keyOf(localDateISO(e.date));
+    totals.set(key, (totals.get(key) ?? 0) + e.miles);
+  }
+  return [...totals.entries()].map(([key, miles]) => ({ key, miles })).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+export function dailyTotals(entries) {
+  return totalsBy(entries, (day) => day);
+}
+
+export function weeklyTotals(entries) {
+  return totalsBy(entries, weekStart);
+}
+
+export function monthlyTotals(entries) {
+  return totalsBy(entries, monthOf);
+}
+
+// Pads a series of buckets so days/weeks/months with no walking show as zero.
+export function fillGaps(totals, period) {
+  if (totals.length === 0) return [];
+  const step = {
+    day: (k) => addDays(k, 1),
+    week: (k) => addDays(k, 7),
+    month: (k) => {
+      const [y, m] = k.split("-").map(Number);
+      return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, "0")}`;
+    }
+  }[period];
+  const byKey = new Map(totals.map((t) => [t.key, t.miles]));
+  const last = totals[totals.length - 1].key;
+  const filled = [];
+  for (let k = totals[0].key; k <= last; k = step(k)) filled.push({ key: k, miles: byKey.get(k) ?? 0 });
+  return filled;
+}
+
+function best(totals) {
+  return totals.reduce((top, t) => (!top || t.miles > top.miles ? t : top), null);
+}
+
+export function summarize(entries) {
+  const days = dailyTotals(entries);
+  const total = days.reduce((sum, d) => sum + d.miles, 0);
+  return {
+    totalMiles: total,
+    activeDays: days.length,
+    averagePerActiveDay: days.length > 0 ? total / days.length : 0,
+    bestDay: best(days),
+    bestWeek: best(weeklyTotals(entries))
+  };
+}
+
+// Running total at the end of each active day.
+export function cumulativeByDay(entries) {
+  let running = 0;
+  return dailyTotals(entries).map((d) => ({ key: d.key, miles: (running += d.miles) }));
+}
+
+// For each stop, the day the running total first reached it, and how many
+// days the leg from the previous stop took. The journey starts the day
+// before the first walk, so a leg finished on that first day took one day.
+// Unreached stops have day: null.
+export function milestoneLegs(milestones, entries) {
+  const cumulative = cumulativeByDay(entries);
+  const start = cumulative.length > 0 ? addDays(cumulative[0].key, -1) : null;
+
+  let prevDay = start;
+  return milestones.map((m, i) => {
+    const day = m.miles === 0 ? start : (cumulative.find((c) => c.miles >= m.miles)?.key ?? null);
+    const leg = {
+      milestone: m,
+      day: m.miles === 0 ? null : day,
+      legMiles: i === 0 ? 0 : m.miles - milestones[i - 1].miles,
+      legDays: i === 0 || !day || !prevDay ? null : daysBetween(prevDay, day)
+    };
+    prevDay = day;
+    return leg;
+  });
+}
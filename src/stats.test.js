@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import {
+  cumulativeByDay,
+  dailyTotals,
+  fillGaps,
+  milestoneLegs,
+  monthlyTotals,
+  summarize,
+  weekStart,
+  weeklyTotals
+} from "./stats";
+import { walkOn } from "./testFixtures";
+
+const entries = [
+  walkOn("2025-03-03", 2),
+  walkOn("2025-03-03", 3, { time: "18:00" }),
+  walkOn("2025-03-05", 4),
+  walkOn("2025-03-10", 6),
+  walkOn("2025-04-01", 1)
+];
+
+describe("bucketing", () => {
+  it("adds up walks per day, Monday-based week and month", () => {
+    expect(dailyTotals(entries).slice(0, 2)).toEqual([
+      { key: "2025-03-03", miles: 5 },
+      { key: "2025-03-05", miles: 4 }
+    ]);
+    expect(weekStart("2025-03-09")).toBe("2025-03-03");
+    expect(weeklyTotals(entries)).toEqual([
+      { key: "2025-03-03", miles: 9 },
+      { key: "2025-03-10", miles: 6 },
+      { key: "2025-03-31", miles: 1 }
+    ]);
+    expect(monthlyTotals(entries)).toEqual([
+      { key: "2025-03", miles: 15 },
+      { key: "2025-04", miles: 1 }
+    ]);
+  });
+
+  it("fills empty periods with zero", () => {
+    expect(fillGaps(dailyTotals(entries.slice(0, 3)), "day").map((d) => d.miles)).toEqual([5, 0, 4]);
+    expect(fillGaps([{ key: "2024-11", miles: 1 }, { key: "2025-02", miles: 2 }], "month").map((d) => d.key)).toEqual([
+      "2024-11",
+      "2024-12",
+      "2025-01",
+      "2025-02"
+    ]);
+    expect(fillGaps([], "week")).toEqual([]);
+  });
+});
+
+describe("summarize", () => {
+  it("reports bests and the average per day actually walked", () => {
+    expect(summarize(entries)).toEqual({
+      totalMiles: 16,
+      activeDays: 4,
+      averagePerActiveDay: 4,
+      bestDay: { key: "2025-03-10", miles: 6 },
+      bestWeek: { key: "2025-03-03", miles: 9 }
+    });
+    expect(summarize([]).bestDay).toBeNull();
+  });
+});
+
+describe("cumulativeByDay", () => {
+  it("is the running total at the end of each active day", () => {
+    expect(cumulativeByDay(entries).map((c) => c.miles)).toEqual([5, 9, 15, 16]);
+  });
+});
+
+describe("milestoneLegs", () => {
+  const stops = [
+    { id: "a", miles: 0 },
+    { id: "b", miles: 5 },
+    { id: "c", miles: 15 },
+    { id: "d", miles: 100 }
+  ];
+
+  it("counts the days each leg took, the first walk day included", () => {
+    expect(milestoneLegs(stops, entries).map(({ day, legDays, legMiles }) => ({ day, legDays, legMiles }))).toEqual([
+      { day: null, legDays: null, legMiles: 0 },
+      { day: "2025-03-03", legDays: 1, legMiles: 5 },
+      { day: "2025-03-10", legDays: 7, legMiles: 10 },
+      { day: null, legDays: null, legMiles: 85 }
+    ]);
+  });
+});
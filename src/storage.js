@@ -0,0 +1,248 @@
+// Versioned persistence for the tracker.
+//
+// Every release that changed the saved shape bumped the version suffix on the
+// localStorage key. On load we read the current key; if it is missing we look
+// for the newest older key and run it through the migrations below.
+//
+// Where the data actually lives is up to a storage adapter (see store.js).
+// An adapter is { name, load(), save(state, changes) }, both async:
+//   load()  resolves to { state, notice }, or null when it holds nothing yet.
+//   save()  gets the full next state and the changes since the last save
+//           (see diffState), and writes whichever of the two suits it.
+
+import { byDate } from "./dates";
+
+export const SCHEMA_VERSION = 10;
+export const STORAGE_KEY = `mount-doom-tracker-v${SCHEMA_VERSION}`;
+
+const KEY_PATTERN = /^mount-doom-tracker-v(\d+)$/;
+const BACKUP_PREFIX = "mount-doom-tracker-backup";
+
+// Name given to the traveller created on first run, and to data saved before
+// profiles existed (the tracker used to be hard-wired to this one person).
+export const DEFAULT_PROFILE_NAME = "Dixon";
+
+export function makeProfile(name, body = {}) {
+  return { id: makeId(), name, entries: body.entries ?? [], settings: body.settings ?? {} };
+}
+
+function emptyState() {
+  const profile = makeProfile(DEFAULT_PROFILE_NAME);
+  return { version: SCHEMA_VERSION, activeProfileId: profile.id, profiles: [profile], shared: {} };
+}
+
+// randomUUID only exists in secure contexts, and the sync setup has the app
+// opened over plain http on the LAN.
+export function makeId() {
+  return crypto?.randomUUID ? crypto.randomUUID() : String(Date.now() + Math.random());
+}
+
+// v2 stored `logs` as { id, date: "YYYY-MM-DD", miles }. Noon local time keeps
+// the walk on the same calendar day in every timezone offset we care about.
+function dateOnlyToISO(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new Error(`Unrecognised log date: ${value}`);
+  }
+  const d = new Date(`${value}T12:00:00`);
+  if (isNaN(d.getTime())) throw new Error(`Unrecognised log date: ${value}`);
+  return d.toISOString();
+}
+
+function normalizeEntry(e) {
+  const miles = Number(e?.miles);
+  const date = new Date(e?.date);
+  if (!Number.isFinite(miles) || miles <= 0 || isNaN(date.getTime())) {
+    throw new Error(`Invalid entry: ${JSON.stringify(e)}`);
+  }
+  // Extra fields (e.g. an import `source`) ride along untouched.
+  return { ...e, id: e.id || makeId(), miles, date: date.toISOString(), edited: Boolean(e.edited) };
+}
+
+function migrateLogs(data) {
+  if (!Array.isArray(data.logs)) throw new Error("Saved data has no logs array");
+
+  const entries = data.logs
+    .map((log) => normalizeEntry({ id: log.id, miles: log.miles, date: dateOnlyToISO(log.date), edited: false }))
+    .sort(byDate);
+
+  const { logs: _logs, ...settings } = data;
+  return { entries, settings };
+}
+
+function migrateEntries(data) {
+  if (!Array.isArray(data.entries)) throw new Error("Saved data has no entries array");
+  return {
+    entries: data.entries.map(normalizeEntry),
+    settings: data.settings && typeof data.settings === "object" ? data.settings : {}
+  };
+}
+
+export function readProfiles(data) {
+  if (!Array.isArray(data.profiles) || data.profiles.length === 0) {
+    throw new Error("Saved data has no profiles");
+  }
+  const profiles = data.profiles.map((p) => ({
+    id: p.id || makeId(),
+    name: String(p.name || DEFAULT_PROFILE_NAME),
+    ...migrateEntries(p)
+  }));
+  const active = profiles.find((p) => p.id === data.activeProfileId) || profiles[0];
+  return {
+    version: SCHEMA_VERSION,
+    activeProfileId: active.id,
+    profiles,
+    shared: data.shared && typeof data.shared === "object" ? data.shared : {}
+  };
+}
+
+// v10 holds a list of profiles. Before that a save was one traveller's data:
+// either the v2 `logs` list or the later `entries` list. Throws on anything
+// it can't make sense of.
+export function migrate(data) {
+  if (!data || typeof data !== "object") throw new Error("Saved data is not an object");
+  if (Array.isArray(data.profiles)) return readProfiles(data);
+
+  const profile = makeProfile(DEFAULT_PROFILE_NAME, Array.isArray(data.entries) ? migrateEntries(data) : migrateLogs(data));
+  return { version: SCHEMA_VERSION, activeProfileId: profile.id, profiles: [profile], shared: {} };
+}
+
+function findLegacyKeys() {
+  const found = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    const match = key && key.match(KEY_PATTERN);
+    if (match && Number(match[1]) < SCHEMA_VERSION) found.push({ key, version: Number(match[1]) });
+  }
+  return found.sort((a, b) => b.version - a.version);
+}
+
+function backupRaw(key, raw) {
+  const backupKey = `${BACKUP_PREFIX}-${key}-${Date.now()}`;
+  try {
+    localStorage.setItem(backupKey, raw);
+    return backupKey;
+  } catch {
+    return null;
+  }
+}
+
+// Returns { state, notice }. `notice` is a user-facing message when something
+// happened on load that the user should know about (a migration, or a failure).
+// Nothing is written under STORAGE_KEY here; the caller's next save does that,
+// and the legacy key is left in place either way.
+export function loadState() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (raw) {
+    try {
+      return { state: readProfiles(JSON.parse(raw)), notice: null };
+    } catch {
+      const backupKey = backupRaw(STORAGE_KEY, raw);
+      return {
+        state: emptyState(),
+        notice: `Saved data could not be read and was set aside${backupKey ? ` as "${backupKey}"` : ""}.`
+      };
+    }
+  }
+
+  // Every older key is read, not only the newest: a build that never read the
+  // old logs could still have written its own, empty save on top of them.
+  const legacy = findLegacyKeys();
+  if (legacy.length === 0) return { state: emptyState(), notice: null };
+
+  const migrated = [];
+  const problems = [];
+  for (const { key } of legacy) {
+    const legacyRaw = localStorage.getItem(key);
+    try {
+      migrated.push(migrate(JSON.parse(legacyRaw)).profiles[0]);
+    } catch {
+      const backupKey = backupRaw(key, legacyRaw);
+      problems.push(`Could not upgrade data from ${key}. The original was kept${backupKey ? ` in "${backupKey}"` : ""}.`);
+    }
+  }
+  if (migrated.length === 0) return { state: emptyState(), notice: problems.join(" ") };
+
+  const profile = mergeLegacyProfiles(migrated);
+  return {
+    state: { version: SCHEMA_VERSION, activeProfileId: profile.id, profiles: [profile], shared: {} },
+    notice: [`Imported ${profile.entries.length} entries from an older version of the tracker.`, ...problems].join(" ")
+  };
+}
+
+// `profiles` is newest save first. Entries are merged by id, the newest copy
+// winning; settings from newer saves override older ones.
+function mergeLegacyProfiles(profiles) {
+  const entries = new Map();
+  for (const p of profiles) {
+    for (const e of p.entries) if (!entries.has(e.id)) entries.set(e.id, e);
+  }
+  const settings = Object.assign({}, ...profiles.map((p) => p.settings).reverse());
+  return makeProfile(DEFAULT_PROFILE_NAME, { entries: [...entries.values()].sort(byDate), settings });
+}
+
+export function saveState(state) {
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify({
+      version: SCHEMA_VERSION,
+      activeProfileId: state.activeProfileId,
+      profiles: state.profiles.map(({ id, name, entries, settings }) => ({ id, name, entries, settings: settings ?? {} })),
+      shared: state.shared ?? {}
+    })
+  );
+}
+
+export function localStorageAdapter() {
+  return {
+    name: "localStorage",
+    load: async () => loadState(),
+    save: async (state) => saveState(state)
+  };
+}
+
+// What changed between two saved states. Profiles and entries are replaced,
+// never mutated, so an unchanged object means an unchanged record. With no
+// `prev` everything is written and `full` asks the adapter to drop whatever
+// it held before.
+export function diffState(prev, next) {
+  const changes = {
+    full: !prev,
+    meta: null,
+    putProfiles: [],
+    deleteProfiles: [],
+    putEntries: [],
+    deleteEntries: []
+  };
+  if (!prev || prev.activeProfileId !== next.activeProfileId || prev.shared !== next.shared) {
+    changes.meta = { version: SCHEMA_VERSION, activeProfileId: next.activeProfileId, shared: next.shared ?? {} };
+  }
+
+  const before = new Map((prev?.profiles ?? []).map((p, position) => [p.id, { ...p, position }]));
+  next.profiles.forEach((p, position) => {
+    const old = before.get(p.id);
+    if (!old || old.name !== p.name || old.settings !== p.settings || old.position !== position) {
+      changes.putProfiles.push({ id: p.id, name: p.name, settings: p.settings ?? {}, position });
+    }
+    if (old?.entries === p.entries) return;
+
+    const oldEntries = new Map((old?.entries ?? []).map((e) => [e.id, e]));
+    const ids = new Set(p.entries.map((e) => e.id));
+    for (const e of p.entries) if (oldEntries.get(e.id) !== e) changes.putEntries.push({ profileId: p.id, entry: e });
+    for (const id of oldEntries.keys()) if (!ids.has(id)) changes.deleteEntries.push({ profileId: p.id, id });
+  });
+
+  const ids = new Set(next.profiles.map((p) => p.id));
+  for (const id of before.keys()) if (!ids.has(id)) changes.deleteProfiles.push(id);
+  return changes;
+}
+
+export function hasChanges(changes) {
+  return Boolean(
+    changes.full ||
+      changes.meta ||
+      changes.putProfiles.length ||
+      changes.deleteProfiles.length ||
+      changes.putEntries.length ||
+      changes.deleteEntries.length
+  );
+}
@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { diffState, hasChanges, loadState, migrate } from "./storage";
+import { memoryStorage, walk } from "./testFixtures";
+
+function state() {
+  return {
+    activeProfileId: "p1",
+    shared: {},
+    profiles: [
+      { id: "p1", name: "Dixon", entries: [walk("a", 2, "01"), walk("bb", 3, "02")], settings: {} },
+      { id: "p2", name: "Sam", entries: [], settings: {} }
+    ]
+  };
+}
+
+describe("migrate", () => {
+  it("turns a v9 save into a single profile", () => {
+    const next = migrate({ entries: [{ id: "a", miles: "2.5", date: "2026-05-01T09:00:00.000Z" }], settings: { units: "km" } });
+    expect(next.profiles).toHaveLength(1);
+    expect(next.profiles[0].entries[0].miles).toBe(2.5);
+    expect(next.profiles[0].settings.units).toBe("km");
+  });
+});
+
+describe("loadState", () => {
+  beforeEach(() => {
+    globalThis.localStorage = memoryStorage();
+  });
+
+  it("still imports v2 logs when a later build left an empty v9 save beside them", () => {
+    localStorage.setItem("mount-doom-tracker-v2", JSON.stringify({ logs: [{ id: "x", date: "2026-04-02", miles: 3 }] }));
+    localStorage.setItem("mount-doom-tracker-v9", JSON.stringify({ entries: [] }));
+
+    const { state, notice } = loadState();
+    expect(state.profiles[0].entries.map((e) => [e.id, e.miles])).toEqual([["x", 3]]);
+    expect(notice).toBe("Imported 1 entries from an older version of the tracker.");
+  });
+
+  it("merges every older save by id, the newest copy winning", () => {
+    localStorage.setItem("mount-doom-tracker-v2", JSON.stringify({ logs: [{ id: "a", date: "2026-04-01", miles: 1 }, { id: "b", date: "2026-04-03", miles: 2 }] }));
+    localStorage.setItem(
+      "mount-doom-tracker-v9",
+      JSON.stringify({ entries: [walk("b", 5, "02", "04"), walk("c", 4, "05", "04")], settings: { units: "km" } })
+    );
+
+    const { state } = loadState();
+    expect(state.profiles[0].entries.map((e) => [e.id, e.miles])).toEqual([["a", 1], ["b", 5], ["c", 4]]);
+    expect(state.profiles[0].settings.units).toBe("km");
+  });
+
+  it("keeps what it could read when one older save is broken", () => {
+    localStorage.setItem("mount-doom-tracker-v2", JSON.stringify({ logs: [{ id: "a", date: "2026-04-01", miles: 1 }] }));
+    localStorage.setItem("mount-doom-tracker-v9", "{not json");
+
+    const { state, notice } = loadState();
+    expect(state.profiles[0].entries).toHaveLength(1);
+    expect(notice).toMatch(/^Imported 1 entries.*Could not upgrade data from mount-doom-tracker-v9/);
+  });
+});
+
+describe("diffState", () => {
+  it("writes everything when there is nothing to compare with", () => {
+    const changes = diffState(null, state());
+    expect(changes.full).toBe(true);
+    expect(changes.meta.activeProfileId).toBe("p1");
+    expect(changes.putProfiles.map((p) => p.position)).toEqual([0, 1]);
+    expect(changes.putEntries).toHaveLength(2);
+  });
+
+  it("finds nothing to write for an identical state", () => {
+    const prev = state();
+    expect(hasChanges(diffState(prev, { ...prev }))).toBe(false);
+  });
+
+  it("only lists the entries that were added, edited or removed", () => {
+    const prev = state();
+    const [a, b] = prev.profiles[0].entries;
+    const edited = { ...b, miles: 4 };
+    const added = walk("ccc", 1, "03");
+    const next = {
+      ...prev,
+      profiles: [{ ...prev.profiles[0], entries: [edited, added] }, prev.profiles[1]]
+    };
+
+    const changes = diffState(prev, next);
+    expect(changes.full).toBe(false);
+    expect(changes.meta).toBeNull();
+    expect(changes.putProfiles).toEqual([]);
+    expect(changes.putEntries.map((c) => c.entry)).toEqual([edited, added]);
+    expect(changes.deleteEntries).toEqual([{ profileId: "p1", id: a.id }]);
+  });
+
+  it("notices renamed, moved and removed profiles and a new active profile", () => {
+    const prev = state();
+    const next = { ...prev, activeProfileId: "p2", profiles: [{ ...prev.profiles[1], name: "Samwise" }] };
+
+    const changes = diffState(prev, next);
+    expect(changes.meta.activeProfileId).toBe("p2");
+    expect(changes.putProfiles).toEqual([{ id: "p2", name: "Samwise", settings: {}, position: 0 }]);
+    expect(changes.deleteProfiles).toEqual(["p1"]);
+  });
+});
@@ -0,0 +1,71 @@
+// Picks a storage adapter on startup and turns each new state into an
+// incremental write.
+
+import { indexedDbAdapter } from "./indexedDb";
+import { diffState, hasChanges, localStorageAdapter } from "./storage";
+
+// Writes run one at a time in order. If one fails the next save writes
+// everything, so the adapter never misses a change. `remote` is an optional
+// second adapter that receives the same changes after the local write.
+export function createStore(adapter, saved, { remote = null } = {}) {
+  let last = saved;
+  let failed = false;
+  let queue = Promise.resolve();
+
+  return {
+    adapter,
+    // Swapped in and out at runtime, e.g. when sync is turned on.
+    setRemote(next) {
+      remote = next;
+    },
+    save(state) {
+      const changes = diffState(failed ? null : last, state);
+      last = state;
+      failed = false;
+      if (!hasChanges(changes)) return queue;
+
+      const run = queue.then(async () => {
+        try {
+          await adapter.save(state, changes);
+        } catch (err) {
+          failed = true;
+          throw err;
+        }
+        if (remote) await remote.save(state, changes);
+      });
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
+
+async function openIndexedDb(indexedDB) {
+  try {
+    return await indexedDbAdapter(indexedDB);
+  } catch {
+    // Private browsing modes can refuse IndexedDB; localStorage still works.
+    return null;
+  }
+}
+
+// Resolves to { state, notice, store }. IndexedDB is used when the browser
+// allows it; the first time, whatever localStorage holds (including older
+// mount-doom-tracker-v* saves) is copied across. After that the localStorage
+// copy is never updated, so once IndexedDB holds the data a failure to read
+// it rejects rather than fall back to that stale copy.
+export async function openStorage({ indexedDB = globalThis.indexedDB, remote = null } = {}) {
+  const local = localStorageAdapter();
+  const idb = indexedDB ? await openIndexedDb(indexedDB) : null;
+
+  if (idb) {
+    let loaded = await idb.load();
+    if (!loaded) {
+      loaded = await local.load();
+      await idb.save(loaded.state, diffState(null, loaded.state));
+    }
+    return { ...loaded, store: createStore(idb, loaded.state, { remote }) };
+  }
+
+  const loaded = await local.load();
+  return { ...loaded, store: createStore(local, loaded.state, { remote }) };
+}
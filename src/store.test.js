@@ -0,0 +1,123 @@
+import "fake-indexeddb/auto";
+import { IDBFactory } from "fake-indexeddb";
+import { beforeEach, describe, expect, it } from "vitest";
+import { indexedDbAdapter } from "./indexedDb";
+import { diffState, STORAGE_KEY } from "./storage";
+import { createStore, openStorage } from "./store";
+import { memoryStorage, walk } from "./testFixtures";
+
+beforeEach(() => {
+  globalThis.localStorage = memoryStorage();
+});
+
+describe("openStorage", () => {
+  it("copies v9 data from localStorage into IndexedDB on first run", async () => {
+    const indexedDB = new IDBFactory();
+    localStorage.setItem("mount-doom-tracker-v9", JSON.stringify({ entries: [walk("a", 2, "01")], settings: {} }));
+
+    const first = await openStorage({ indexedDB });
+    expect(first.store.adapter.name).toBe("indexedDB");
+    expect(first.notice).toMatch(/Imported 1 entries/);
+
+    const again = await openStorage({ indexedDB });
+    expect(again.notice).toBeNull();
+    expect(again.state.profiles[0].entries).toEqual(first.state.profiles[0].entries);
+  });
+
+  it("falls back to localStorage when IndexedDB can't be opened", async () => {
+    const refusing = {
+      open() {
+        const req = {};
+        queueMicrotask(() => {
+          req.error = new Error("refused");
+          req.onerror?.();
+        });
+        return req;
+      }
+    };
+    const { store: s } = await openStorage({ indexedDB: refusing });
+    expect(s.adapter.name).toBe("localStorage");
+  });
+
+  it("rejects instead of loading the stale localStorage copy when IndexedDB can't be read", async () => {
+    const indexedDB = new IDBFactory();
+    localStorage.setItem("mount-doom-tracker-v9", JSON.stringify({ entries: [walk("a", 2, "01")], settings: {} }));
+    const { state } = await openStorage({ indexedDB });
+
+    const idb = await indexedDbAdapter(indexedDB);
+    const broken = { ...state, profiles: [{ ...state.profiles[0], entries: [{ id: "x", miles: 1, date: "not a date" }] }] };
+    await idb.save(broken, diffState(state, broken));
+
+    await expect(openStorage({ indexedDB })).rejects.toThrow(/Invalid entry/);
+  });
+
+  it("falls back to localStorage without IndexedDB", async () => {
+    const { state, store: s } = await openStorage({ indexedDB: null });
+    expect(s.adapter.name).toBe("localStorage");
+
+    const next = { ...state, profiles: [{ ...state.profiles[0], entries: [walk("a", 3, "02")] }] };
+    await s.save(next);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).profiles[0].entries[0].miles).toBe(3);
+  });
+});
+
+describe("indexedDbAdapter", () => {
+  it("applies incremental changes and reads them back in order", async () => {
+    const idb = await indexedDbAdapter(new IDBFactory());
+    expect(await idb.load()).toBeNull();
+
+    const a = walk("a", 2, "03");
+    const b = walk("b", 1, "01");
+    const prev = {
+      activeProfileId: "p1",
+      shared: {},
+      profiles: [
+        { id: "p1", name: "Dixon", entries: [b, a], settings: {} },
+        { id: "p2", name: "Sam", entries: [walk("c", 5, "02")], settings: {} }
+      ]
+    };
+    await idb.save(prev, diffState(null, prev));
+
+    const next = {
+      ...prev,
+      profiles: [{ ...prev.profiles[0], entries: [b, { ...a, miles: 4 }, walk("d", 1, "04")] }]
+    };
+    await idb.save(next, diffState(prev, next));
+
+    const { state } = await idb.load();
+    expect(state.profiles.map((p) => p.name)).toEqual(["Dixon"]);
+    expect(state.profiles[0].entries.map((e) => [e.id, e.miles])).toEqual([
+      ["b", 1],
+      ["a", 4],
+      ["d", 1]
+    ]);
+  });
+});
+
+describe("createStore", () => {
+  it("writes only what changed and rewrites everything after a failure", async () => {
+    const calls = [];
+    let fail = false;
+    const adapter = {
+      name: "test",
+      save: async (_state, changes) => {
+        calls.push(changes);
+        if (fail) throw new Error("quota");
+      }
+    };
+    const saved = { activeProfileId: "p1", shared: {}, profiles: [{ id: "p1", name: "Dixon", entries: [], settings: {} }] };
+    const s = createStore(adapter, saved);
+
+    await s.save({ ...saved });
+    expect(calls).toHaveLength(0);
+
+    fail = true;
+    const withWalk = { ...saved, profiles: [{ ...saved.profiles[0], entries: [walk("a", 1, "01")] }] };
+    await expect(s.save(withWalk)).rejects.toThrow("quota");
+
+    fail = false;
+    await s.save({ ...withWalk, shared: { goalMiles: 100 } });
+    expect(calls[1].full).toBe(true);
+    expect(calls[1].putEntries).toHaveLength(1);
+  });
+});
@@ -0,0 +1,37 @@
+// Story mode: short passages that unlock at waypoints between milestones.
+// The passages themselves live in data/passages.json. Which ones a traveller
+// has read is kept in settings.storyRead as a list of passage ids.
+
+import data from "./data/passages.json";
+
+export const PASSAGES = data.passages;
+
+// Places each passage on this journey in miles, using the first of its
+// placements whose two stops are both on the route. Sorted by distance.
+export function passagesForJourney(milestones, passages = PASSAGES) {
+  const stops = new Map(milestones.map((m) => [m.id, m]));
+  return passages
+    .map((p) => {
+      const place = p.along.find((a) => stops.has(a.from) && stops.has(a.to));
+      if (!place) return null;
+      const from = stops.get(place.from).miles;
+      const to = stops.get(place.to).miles;
+      return { id: p.id, title: p.title, text: p.text, miles: from + (to - from) * place.at };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.miles - b.miles);
+}
+
+export function unlockedPassages(placed, miles) {
+  return placed.filter((p) => miles >= p.miles);
+}
+
+// Passages unlocked by going from `fromMiles` to `toMiles`.
+export function passagesCrossed(placed, fromMiles, toMiles) {
+  return placed.filter((p) => p.miles > fromMiles && p.miles <= toMiles);
+}
+
+export function unreadPassages(placed, miles, readIds = []) {
+  const read = new Set(readIds);
+  return unlockedPassages(placed, miles).filter((p) => !read.has(p.id));
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { JOURNEY_PRESETS } from "./journeys";
+import { PASSAGES, passagesCrossed, passagesForJourney, unlockedPassages, unreadPassages } from "./story";
+
+const milestones = [
+  { id: "shire", miles: 0 },
+  { id: "bree", miles: 100 },
+  { id: "rivendell", miles: 300 }
+];
+const passages = [
+  { id: "late", title: "Late", text: "", along: [{ from: "bree", to: "rivendell", at: 0.5 }] },
+  { id: "early", title: "Early", text: "", along: [{ from: "moria", to: "lorien", at: 0.5 }, { from: "shire", to: "bree", at: 0.25 }] },
+  { id: "elsewhere", title: "Elsewhere", text: "", along: [{ from: "moria", to: "lorien", at: 0.5 }] }
+];
+
+describe("passagesForJourney", () => {
+  it("places passages on the first leg the route has, in order", () => {
+    expect(passagesForJourney(milestones, passages).map((p) => [p.id, p.miles])).toEqual([
+      ["early", 25],
+      ["late", 200]
+    ]);
+  });
+
+  it("follows a journey whose stops were moved", () => {
+    const stretched = milestones.map((m) => ({ ...m, miles: m.miles * 2 }));
+    expect(passagesForJourney(stretched, passages)[1].miles).toBe(400);
+  });
+});
+
+describe("unlocking and reading", () => {
+  const placed = passagesForJourney(milestones, passages);
+
+  it("unlocks passages as the miles pass them", () => {
+    expect(unlockedPassages(placed, 24).map((p) => p.id)).toEqual([]);
+    expect(unlockedPassages(placed, 25).map((p) => p.id)).toEqual(["early"]);
+    expect(passagesCrossed(placed, 20, 250).map((p) => p.id)).toEqual(["early", "late"]);
+    expect(passagesCrossed(placed, 25, 199)).toEqual([]);
+  });
+
+  it("lists unlocked passages not yet read", () => {
+    expect(unreadPassages(placed, 300, ["early"]).map((p) => p.id)).toEqual(["late"]);
+  });
+});
+
+describe("passages.json", () => {
+  it("has unique ids and only valid placements", () => {
+    const ids = PASSAGES.map((p) => p.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    for (const p of PASSAGES) {
+      expect(p.title && p.text).toBeTruthy();
+      for (const a of p.along) {
+        expect(a.at).toBeGreaterThanOrEqual(0);
+        expect(a.at).toBeLessThanOrEqual(1);
+      }
+    }
+  });
+
+  it("gives every preset journey a story, in a sensible order", () => {
+    for (const preset of JOURNEY_PRESETS) {
+      const placed = passagesForJourney(preset.milestones);
+      expect(placed.length).toBeGreaterThan(3);
+    }
+    const fellowship = passagesForJourney(JOURNEY_PRESETS[0].milestones).map((p) => p.id);
+    expect(fellowship.indexOf("weathertop")).toBeLessThan(fellowship.indexOf("ford-of-bruinen"));
+    expect(fellowship.indexOf("argonath")).toBeLessThan(fellowship.indexOf("amon-hen"));
+    expect(fellowship.indexOf("black-gate")).toBeLessThan(fellowship.indexOf("shelob"));
+  });
+});
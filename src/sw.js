@@ -0,0 +1,109 @@
+// Service worker for offline use. This file is not bundled: the
+// service-worker plugin in vite.config.js copies it to dist/sw.js and fills in
+// the list of built files, so every deploy gets a fresh cache.
+
+const PRECACHE = self.__PRECACHE__ ?? ["/"];
+const CACHE = `mount-doom-${self.__CACHE_VERSION__ ?? "dev"}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("mount-doom-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Sync server calls must always reach the server.
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  // Pages: try the network so a new deploy shows up, else the cached app shell.
+  if (request.mode === "navigate") {
+    event.respondWith(fetch(request).catch(() => caches.match("/")));
+    return;
+  }
+
+  // Built files are content-hashed, so a cached copy is always right.
+  event.respondWith(
+    caches.match(request).then(
+      (hit) =>
+        hit ??
+        fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+    )
+  );
+});
+
+// Reminders. The page posts { type: "reminder", state } whenever the settings
+// or the message change, and the latest copy is kept in its own cache so it
+// outlives this worker. The nudge itself comes from the page's timer
+// ("reminder-due") or, with the app closed, from periodic background sync
+// where the browser supports it. Either way at most one a day.
+const REMINDER_CACHE = "reminders";
+const REMINDER_URL = "/reminder-state";
+
+function localDay(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+async function readReminder() {
+  const hit = await (await caches.open(REMINDER_CACHE)).match(REMINDER_URL);
+  return hit ? hit.json() : null;
+}
+
+async function writeReminder(state) {
+  await (await caches.open(REMINDER_CACHE)).put(REMINDER_URL, new Response(JSON.stringify(state)));
+}
+
+function reminderDue(state, now) {
+  if (!state?.reminder.enabled || state.notifiedDay === localDay(now)) return false;
+  if (state.reminder.onlyIfNotLogged && state.lastLoggedDay === localDay(now)) return false;
+  const [h, m] = state.reminder.time.split(":").map(Number);
+  return now.getHours() * 60 + now.getMinutes() >= h * 60 + m;
+}
+
+async function remindIfDue() {
+  const state = await readReminder();
+  const now = new Date();
+  if (!reminderDue(state, now)) return;
+  await self.registration.showNotification(state.message.title, {
+    body: state.message.body,
+    icon: "/icon-192.png",
+    tag: "daily-reminder"
+  });
+  await writeReminder({ ...state, notifiedDay: localDay(now) });
+}
+
+self.addEventListener("message", (event) => {
+  const { data } = event;
+  if (data?.type === "reminder") {
+    event.waitUntil(readReminder().then((prev) => writeReminder({ ...data.state, notifiedDay: prev?.notifiedDay ?? null })));
+  } else if (data?.type === "reminder-due") {
+    event.waitUntil(remindIfDue());
+  }
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "daily-reminder") event.waitUntil(remindIfDue());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window" })
+      .then((windows) => (windows.length > 0 ? windows[0].focus() : self.clients.openWindow("/")))
+  );
+});
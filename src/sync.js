@@ -0,0 +1,218 @@
+// Client side of the sync server in server/. Two devices sync a traveller
+// through the server, one profile at a time:
+//
+// - Local changes arrive through save(state, changes), the remote adapter
+//   hook in store.js. They are stamped with the time and queued in an outbox
+//   (kept in localStorage) until the server takes them.
+// - syncNow() sends the outbox, then pulls what other devices wrote since the
+//   last pull. The server decides conflicts: last write wins per entry id, and
+//   deletes travel as tombstones.
+//
+// Pulled entries are remembered so that, when they come back through save(),
+// they are not sent to the server again as if they were local edits.
+
+import { byDate } from "./dates";
+
+export const SYNC_KEY = "mount-doom-tracker-sync";
+
+export function emptySyncConfig(url = null) {
+  return { url, links: {}, cursors: {}, journeyAt: {}, outbox: [], lastSyncedAt: null };
+}
+
+export function loadSyncConfig() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SYNC_KEY));
+    return saved?.url ? { ...emptySyncConfig(), ...saved } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveSyncConfig(config) {
+  if (config) localStorage.setItem(SYNC_KEY, JSON.stringify(config));
+  else localStorage.removeItem(SYNC_KEY);
+}
+
+// Server bookkeeping that never belongs on a local entry.
+function entryFromRecord(record) {
+  const { updatedAt: _updatedAt, rev: _rev, deleted: _deleted, ...entry } = record;
+  return entry;
+}
+
+function sameEntry(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Turns pulled records into entries to upsert and ids to delete, leaving out
+// anything the local log already matches.
+export function planPull(entries, records) {
+  const local = new Map(entries.map((e) => [e.id, e]));
+  const upserts = [];
+  const deletes = [];
+  for (const record of records) {
+    if (record.deleted) {
+      if (local.has(record.id)) deletes.push(record.id);
+      continue;
+    }
+    const entry = entryFromRecord(record);
+    if (!local.has(record.id) || !sameEntry(local.get(record.id), entry)) upserts.push(entry);
+  }
+  return { upserts, deletes };
+}
+
+export function applyPull(entries, { upserts, deletes }) {
+  if (upserts.length === 0 && deletes.length === 0) return entries;
+  const gone = new Set([...deletes, ...upserts.map((e) => e.id)]);
+  return [...entries.filter((e) => !gone.has(e.id)), ...upserts].sort(byDate);
+}
+
+export function createSync(config, { fetch = (...args) => globalThis.fetch(...args), now = Date.now } = {}) {
+  const fromServer = new WeakSet();
+  const pulledDeletes = new Set();
+  const known = new Map(); // profileId -> { name, journey } last seen, to spot changes
+  let busy = Promise.resolve();
+
+  const persist = () => saveSyncConfig(config);
+
+  // One request or sync at a time, in order.
+  function exclusive(task) {
+    const run = busy.then(task);
+    busy = run.catch(() => {});
+    return run;
+  }
+
+  async function api(path, { method = "GET", body } = {}) {
+    const res = await fetch(`${config.url.replace(/\/+$/, "")}/api${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 404 && method === "GET") return null;
+    if (!res.ok) throw new Error(data.error || `The sync server answered ${res.status}.`);
+    return data;
+  }
+
+  const profilePath = (profileId) => `/profiles/${encodeURIComponent(config.links[profileId])}`;
+
+  async function flush() {
+    const pending = config.outbox.filter((item) => config.links[item.profileId]);
+    if (pending.length === 0) return;
+
+    const records = new Map();
+    for (const item of pending) {
+      if (item.type !== "entry") continue;
+      if (!records.has(item.profileId)) records.set(item.profileId, []);
+      records.get(item.profileId).push(item.record);
+    }
+    for (const [profileId, entries] of records) {
+      await api(`${profilePath(profileId)}/entries`, { method: "PUT", body: { entries } });
+    }
+    for (const item of pending) {
+      if (item.type === "name") {
+        await api(profilePath(item.profileId), { method: "PUT", body: { name: item.name } });
+      } else if (item.type === "journey") {
+        const { accepted } = await api(`${profilePath(item.profileId)}/journey`, {
+          method: "PUT",
+          body: { journey: item.journey, updatedAt: item.updatedAt }
+        });
+        if (accepted) config.journeyAt[item.profileId] = Math.max(config.journeyAt[item.profileId] ?? -1, item.updatedAt);
+      }
+    }
+
+    config.outbox = config.outbox.filter((item) => !pending.includes(item));
+    persist();
+  }
+
+  // A profile seen for the first time is matched to the server's by id, then
+  // by name, or created there. Everything local is uploaded stamped 0, so any
+  // copy the server already has of the same entry or journey wins.
+  async function link(profile, remoteProfiles) {
+    const match =
+      remoteProfiles.find((r) => r.id === profile.id) ??
+      remoteProfiles.find((r) => r.name.trim().toLowerCase() === profile.name.trim().toLowerCase());
+    const remoteId = match?.id ?? profile.id;
+    if (!match) await api(`/profiles/${encodeURIComponent(remoteId)}`, { method: "PUT", body: { name: profile.name } });
+
+    config.links[profile.id] = remoteId;
+    config.cursors[profile.id] = 0;
+    config.outbox = [
+      ...config.outbox.filter((item) => item.profileId !== profile.id),
+      ...profile.entries.map((entry) => ({ type: "entry", profileId: profile.id, record: { ...entry, updatedAt: 0 } })),
+      ...(profile.settings.journey
+        ? [{ type: "journey", profileId: profile.id, journey: profile.settings.journey, updatedAt: 0 }]
+        : [])
+    ];
+    persist();
+  }
+
+  return {
+    config,
+
+    // Remote adapter: queue what changed locally and try to send it now.
+    save(_state, changes) {
+      // A full rewrite repeats a failed local save; nothing new happened.
+      if (changes.full) return Promise.resolve();
+      const at = now();
+
+      for (const { profileId, entry } of changes.putEntries) {
+        if (!fromServer.has(entry)) config.outbox.push({ type: "entry", profileId, record: { ...entry, updatedAt: at } });
+      }
+      for (const { profileId, id } of changes.deleteEntries) {
+        if (!pulledDeletes.delete(`${profileId}:${id}`)) {
+          config.outbox.push({ type: "entry", profileId, record: { id, deleted: true, updatedAt: at } });
+        }
+      }
+      for (const p of changes.putProfiles) {
+        const seen = known.get(p.id);
+        if (seen && seen.name !== p.name) config.outbox.push({ type: "name", profileId: p.id, name: p.name });
+        if (seen && p.settings.journey && seen.journey !== p.settings.journey) {
+          config.outbox.push({ type: "journey", profileId: p.id, journey: p.settings.journey, updatedAt: at });
+        }
+        known.set(p.id, { name: p.name, journey: p.settings.journey });
+      }
+      persist();
+
+      // Offline is fine: the outbox is sent on the next sync.
+      return exclusive(flush).catch(() => {});
+    },
+
+    // Resolves to [{ profileId, upserts, deletes, journey }] for the caller to
+    // apply to its state with applyPull.
+    syncNow(state) {
+      return exclusive(async () => {
+        for (const p of state.profiles) {
+          if (!known.has(p.id)) known.set(p.id, { name: p.name, journey: p.settings.journey });
+        }
+
+        const unlinked = state.profiles.filter((p) => !config.links[p.id]);
+        if (unlinked.length > 0) {
+          const remoteProfiles = await api("/profiles");
+          for (const p of unlinked) await link(p, remoteProfiles ?? []);
+        }
+        await flush();
+
+        const updates = [];
+        for (const p of state.profiles) {
+          const pulled = await api(`${profilePath(p.id)}/entries?since=${config.cursors[p.id] ?? 0}`);
+          const update = { profileId: p.id, ...planPull(p.entries, pulled?.entries ?? []), journey: null };
+          update.upserts.forEach((e) => fromServer.add(e));
+          update.deletes.forEach((id) => pulledDeletes.add(`${p.id}:${id}`));
+          config.cursors[p.id] = pulled?.rev ?? config.cursors[p.id];
+
+          const remote = await api(`${profilePath(p.id)}/journey`);
+          if (remote && remote.updatedAt > (config.journeyAt[p.id] ?? -1)) {
+            config.journeyAt[p.id] = remote.updatedAt;
+            update.journey = remote.journey;
+            known.set(p.id, { name: known.get(p.id)?.name ?? p.name, journey: remote.journey });
+          }
+          updates.push(update);
+        }
+
+        config.lastSyncedAt = new Date(now()).toISOString();
+        persist();
+        return updates;
+      });
+    }
+  };
+}
@@ -0,0 +1,125 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { startServer } from "../server/index.js";
+import { diffState } from "./storage";
+import { applyPull, createSync, emptySyncConfig, planPull } from "./sync";
+import { walk } from "./testFixtures";
+
+describe("planPull", () => {
+  it("upserts changed entries, drops tombstoned ones and skips what matches", () => {
+    const a = walk("a", 2, "01");
+    const b = walk("b", 3, "02");
+    const plan = planPull(
+      [a, b],
+      [
+        { ...a, updatedAt: 5, rev: 1 },
+        { ...b, miles: 4, updatedAt: 6, rev: 2 },
+        { id: "c", deleted: true, updatedAt: 7, rev: 3 },
+        { id: "a", deleted: true, updatedAt: 8, rev: 4 }
+      ]
+    );
+    expect(plan.upserts).toEqual([{ ...b, miles: 4 }]);
+    expect(plan.deletes).toEqual(["a"]);
+    expect(applyPull([a, b], plan)).toEqual([{ ...b, miles: 4 }]);
+  });
+});
+
+// Two "devices", each with its own state and sync client, against a real
+// server on a random local port.
+describe("syncing two devices", () => {
+  let dir;
+  let server;
+  let url;
+  let clock;
+
+  beforeEach(async () => {
+    const store = new Map();
+    globalThis.localStorage = {
+      getItem: (k) => (store.has(k) ? store.get(k) : null),
+      setItem: (k, v) => store.set(k, String(v)),
+      removeItem: (k) => store.delete(k)
+    };
+    dir = await mkdtemp(join(tmpdir(), "mount-doom-sync-"));
+    server = await startServer({ port: 0, file: join(dir, "data.json") });
+    url = `http://localhost:${server.address().port}`;
+    clock = 1000;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  function device(name, entries) {
+    const sync = createSync(emptySyncConfig(url), { now: () => clock++ });
+    let state = { activeProfileId: name, shared: {}, profiles: [{ id: name, name: "Dixon", entries, settings: {} }] };
+    return {
+      sync,
+      get entries() {
+        return state.profiles[0].entries;
+      },
+      // What the store does for every local change.
+      async change(entries) {
+        const next = { ...state, profiles: [{ ...state.profiles[0], entries }] };
+        await sync.save(next, diffState(state, next));
+        state = next;
+      },
+      async syncNow() {
+        const updates = await sync.syncNow(state);
+        await this.change(applyPull(this.entries, updates[0]));
+      }
+    };
+  }
+
+  it("merges both logs, then spreads edits and deletes", async () => {
+    const a = walk("a", 2, "01");
+    const b = walk("b", 3, "02");
+    const phone = device("phone", [a]);
+    const laptop = device("laptop", [b]);
+
+    await phone.syncNow();
+    await laptop.syncNow(); // matched to the phone's profile by name
+    await phone.syncNow();
+    expect(phone.entries.map((e) => e.id)).toEqual(["a", "b"]);
+    expect(laptop.entries.map((e) => e.id)).toEqual(["a", "b"]);
+
+    await laptop.change([{ ...laptop.entries[0], miles: 5, edited: true }, laptop.entries[1]]);
+    await phone.change([phone.entries[0]]);
+    await phone.syncNow();
+    await laptop.syncNow();
+
+    expect(phone.entries).toEqual([{ ...a, miles: 5, edited: true }]);
+    expect(laptop.entries).toEqual(phone.entries);
+  });
+
+  it("lets the later of two conflicting edits win", async () => {
+    const a = walk("a", 2, "01");
+    const phone = device("phone", [a]);
+    const laptop = device("laptop", []);
+    await phone.syncNow();
+    await laptop.syncNow();
+
+    await phone.change([{ ...a, miles: 3 }]);
+    await laptop.change([{ ...a, miles: 4 }]);
+    await laptop.syncNow();
+    await phone.syncNow();
+
+    expect(phone.entries[0].miles).toBe(4);
+    expect(laptop.entries[0].miles).toBe(4);
+  });
+
+  it("queues changes while the server is unreachable", async () => {
+    const phone = device("phone", []);
+    await phone.syncNow();
+    await new Promise((resolve) => server.close(resolve));
+
+    await phone.change([walk("a", 2, "01")]);
+    expect(phone.sync.config.outbox).toHaveLength(1);
+
+    server = await startServer({ port: Number(new URL(url).port), file: join(dir, "data.json") });
+    await phone.syncNow();
+    expect(phone.sync.config.outbox).toHaveLength(0);
+  });
+});
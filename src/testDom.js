@@ -0,0 +1,18 @@
+import axe from "axe-core";
+
+// Shared helpers for the jsdom component tests.
+
+// jsdom has no layout, so colour contrast can't be measured. Pass
+// `{ region: false }` for components checked outside the page landmarks.
+export async function violations(container, { region = true } = {}) {
+  const results = await axe.run(container, {
+    rules: { "color-contrast": { enabled: false }, region: { enabled: region } }
+  });
+  return results.violations.map((v) => `${v.id}: ${v.nodes.map((n) => n.target.join(" ")).join(", ")}`);
+}
+
+// jsdom has no matchMedia; `matches` decides whether every query (such as
+// the phone layout's) applies.
+export function stubMatchMedia(matches = false) {
+  window.matchMedia = (query) => ({ matches, media: query, addEventListener() {}, removeEventListener() {} });
+}
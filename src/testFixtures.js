@@ -0,0 +1,34 @@
+// Shared test data. `day` is the day of the month as a two-digit string;
+// walks are at noon UTC so they land on that day in any nearby time zone.
+export const walk = (id, miles, day, month = "07") => ({
+  id,
+  miles,
+  date: `2026-${month}-${day}T12:00:00.000Z`,
+  edited: false
+});
+
+// A walk on a calendar date (`YYYY-MM-DD`) at a local wall-clock time, for
+// tests that bucket entries by day. Extra fields such as `id` override the
+// defaults.
+export const walkOn = (date, miles, { time = "12:00", ...fields } = {}) => ({
+  id: `${date}-${time}`,
+  miles,
+  date: new Date(`${date}T${time}:00`).toISOString(),
+  edited: false,
+  ...fields
+});
+
+// A Map-backed stand-in for window.localStorage, for tests in the node
+// environment.
+export function memoryStorage() {
+  const items = new Map();
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: (k) => items.delete(k)
+  };
+}
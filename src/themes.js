@@ -0,0 +1,50 @@
+// Colour themes. Each theme's colours are CSS variables in styles.css; the
+// choice is per device (not per traveller) and "system" follows the
+// browser's prefers-color-scheme.
+
+export const THEME_KEY = "mount-doom-tracker-theme";
+export const SYSTEM_THEME = "system";
+
+export const THEMES = [
+  { id: "shire", name: "Shire", scheme: "light" },
+  { id: "lothlorien", name: "Lothlórien", scheme: "light" },
+  { id: "mordor", name: "Mordor", scheme: "dark" },
+  { id: "contrast-light", name: "High contrast (light)", scheme: "light" },
+  { id: "contrast-dark", name: "High contrast (dark)", scheme: "dark" }
+];
+
+const LIGHT_DEFAULT = "shire";
+const DARK_DEFAULT = "mordor";
+
+export function loadThemeChoice() {
+  try {
+    const saved = localStorage.getItem(THEME_KEY);
+    return THEMES.some((t) => t.id === saved) ? saved : SYSTEM_THEME;
+  } catch {
+    return SYSTEM_THEME;
+  }
+}
+
+export function saveThemeChoice(choice) {
+  try {
+    if (choice === SYSTEM_THEME) localStorage.removeItem(THEME_KEY);
+    else localStorage.setItem(THEME_KEY, choice);
+  } catch {
+    // The theme just falls back to the system one next time.
+  }
+}
+
+// The theme id to show for a choice, given whether the system prefers dark.
+export function resolveTheme(choice, prefersDark) {
+  if (THEMES.some((t) => t.id === choice)) return choice;
+  return prefersDark ? DARK_DEFAULT : LIGHT_DEFAULT;
+}
+
+export function applyTheme(themeId, doc = document) {
+  const root = doc.documentElement;
+  root.dataset.theme = themeId;
+  // Keeps the browser chrome (and installed app title bar) in step.
+  const meta = doc.querySelector('meta[name="theme-color"]');
+  const bg = getComputedStyle(root).getPropertyValue("--md-bg").trim();
+  if (meta && bg) meta.setAttribute("content", bg);
+}
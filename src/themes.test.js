@@ -0,0 +1,35 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { SYSTEM_THEME, THEME_KEY, loadThemeChoice, resolveTheme, saveThemeChoice } from "./themes";
+
+beforeEach(() => {
+  const store = new Map();
+  globalThis.localStorage = {
+    getItem: (k) => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => store.set(k, String(v)),
+    removeItem: (k) => store.delete(k)
+  };
+});
+
+describe("resolveTheme", () => {
+  it("follows the system until a theme is chosen", () => {
+    expect(resolveTheme(SYSTEM_THEME, false)).toBe("shire");
+    expect(resolveTheme(SYSTEM_THEME, true)).toBe("mordor");
+    expect(resolveTheme("lothlorien", true)).toBe("lothlorien");
+    expect(resolveTheme("rohan", false)).toBe("shire");
+  });
+});
+
+describe("loadThemeChoice / saveThemeChoice", () => {
+  it("remembers a theme, and forgets it when going back to the system", () => {
+    expect(loadThemeChoice()).toBe(SYSTEM_THEME);
+    saveThemeChoice("contrast-dark");
+    expect(loadThemeChoice()).toBe("contrast-dark");
+    saveThemeChoice(SYSTEM_THEME);
+    expect(localStorage.getItem(THEME_KEY)).toBeNull();
+  });
+
+  it("ignores a theme that no longer exists", () => {
+    localStorage.setItem(THEME_KEY, "rohan");
+    expect(loadThemeChoice()).toBe(SYSTEM_THEME);
+  });
+});
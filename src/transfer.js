@@ -0,0 +1,86 @@
+// JSON export / import of everything the tracker stores.
+
+import { byDate } from "./dates";
+import { SCHEMA_VERSION, migrate } from "./storage";
+
+export const EXPORT_APP = "frodo-quest";
+
+export function exportData(state) {
+  return JSON.stringify(
+    {
+      app: EXPORT_APP,
+      version: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      activeProfileId: state.activeProfileId,
+      profiles: state.profiles,
+      shared: state.shared ?? {}
+    },
+    null,
+    2
+  );
+}
+
+export function exportFileName(date = new Date()) {
+  return `mount-doom-tracker-${date.toISOString().slice(0, 10)}.json`;
+}
+
+// Accepts exports from this version and any save shape `migrate` understands.
+export function parseImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn’t valid JSON.");
+  }
+  if (!data || typeof data !== "object") throw new Error("That file doesn’t contain tracker data.");
+  if (data.app && data.app !== EXPORT_APP) throw new Error(`That file was exported by “${data.app}”, not this tracker.`);
+  if (Number(data.version) > SCHEMA_VERSION) {
+    throw new Error("That file comes from a newer version of the tracker. Update the app and try again.");
+  }
+  try {
+    return migrate(data);
+  } catch (err) {
+    throw new Error(`That file doesn’t look like tracker data (${err.message}).`);
+  }
+}
+
+function findMatch(profiles, incoming) {
+  return (
+    profiles.find((p) => p.id === incoming.id) ||
+    profiles.find((p) => p.name.trim().toLowerCase() === incoming.name.trim().toLowerCase()) ||
+    null
+  );
+}
+
+// What merging `incoming` into `current` would do, per incoming profile.
+export function previewImport(current, incoming) {
+  return incoming.profiles.map((p) => {
+    const match = findMatch(current.profiles, p);
+    const existingIds = new Set((match?.entries ?? []).map((e) => e.id));
+    const duplicates = p.entries.filter((e) => existingIds.has(e.id)).length;
+    return {
+      name: p.name,
+      matchName: match?.name ?? null,
+      entries: p.entries.length,
+      newEntries: p.entries.length - duplicates,
+      duplicates,
+      miles: p.entries.reduce((sum, e) => sum + e.miles, 0)
+    };
+  });
+}
+
+// Merge keeps everything local and adds entries whose id isn't already there.
+// Profiles are matched by id, then by name; unmatched ones are added as-is.
+export function mergeImport(current, incoming) {
+  const profiles = current.profiles.map((p) => ({ ...p }));
+  for (const p of incoming.profiles) {
+    const match = findMatch(profiles, p);
+    if (!match) {
+      profiles.push(p);
+      continue;
+    }
+    const ids = new Set(match.entries.map((e) => e.id));
+    match.entries = [...match.entries, ...p.entries.filter((e) => !ids.has(e.id))].sort(byDate);
+  }
+  return { ...current, profiles, shared: { ...incoming.shared, ...current.shared } };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { SCHEMA_VERSION } from "./storage";
+import { walkOn } from "./testFixtures";
+import { exportData, mergeImport, parseImport, previewImport } from "./transfer";
+
+const state = () => ({
+  version: SCHEMA_VERSION,
+  activeProfileId: "p1",
+  profiles: [
+    {
+      id: "p1",
+      name: "Frodo",
+      entries: [walkOn("2025-01-01", 3, { id: "a" }), walkOn("2025-01-03", 2, { id: "b" })],
+      settings: { goalDate: "2026-01-01" }
+    }
+  ],
+  shared: { goalMiles: 1800 }
+});
+
+describe("exportData / parseImport", () => {
+  it("round-trips the full state", () => {
+    const text = exportData(state());
+    expect(JSON.parse(text)).toMatchObject({ app: "frodo-quest", version: SCHEMA_VERSION });
+    expect(parseImport(text)).toEqual(state());
+  });
+
+  it("accepts older single-traveller saves", () => {
+    const imported = parseImport(JSON.stringify({ logs: [{ id: "x", date: "2024-06-01", miles: 4 }] }));
+    expect(imported.profiles).toHaveLength(1);
+    expect(imported.profiles[0].entries[0]).toMatchObject({ id: "x", miles: 4 });
+  });
+
+  it("rejects files that aren't tracker data", () => {
+    expect(() => parseImport("nope")).toThrow("valid JSON");
+    expect(() => parseImport(JSON.stringify({ app: "other", profiles: [] }))).toThrow("“other”");
+    expect(() => parseImport(JSON.stringify({ version: SCHEMA_VERSION + 1 }))).toThrow("newer version");
+    expect(() => parseImport(JSON.stringify({ profiles: [{ entries: [{ miles: -1, date: "x" }] }] }))).toThrow(
+      "doesn’t look like tracker data"
+    );
+  });
+});
+
+describe("previewImport / mergeImport", () => {
+  const incoming = {
+    ...state(),
+    profiles: [
+      { id: "other-id", name: "frodo", entries: [walkOn("2025-01-03", 2, { id: "b" }), walkOn("2025-01-02", 5, { id: "c" })], settings: {} },
+      { id: "p2", name: "Sam", entries: [walkOn("2025-01-01", 1, { id: "d" })], settings: {} }
+    ],
+    shared: { goalMiles: 3600 }
+  };
+
+  it("reports new entries and duplicates per profile", () => {
+    expect(previewImport(state(), incoming)).toEqual([
+      { name: "frodo", matchName: "Frodo", entries: 2, newEntries: 1, duplicates: 1, miles: 7 },
+      { name: "Sam", matchName: null, entries: 1, newEntries: 1, duplicates: 0, miles: 1 }
+    ]);
+  });
+
+  it("adds only unseen entries, in date order, and keeps local settings", () => {
+    const merged = mergeImport(state(), incoming);
+    expect(merged.profiles.map((p) => p.name)).toEqual(["Frodo", "Sam"]);
+    expect(merged.profiles[0].entries.map((e) => e.id)).toEqual(["a", "c", "b"]);
+    expect(merged.profiles[0].settings).toEqual({ goalDate: "2026-01-01" });
+    expect(merged.shared.goalMiles).toBe(1800);
+    expect(merged.activeProfileId).toBe("p1");
+  });
+});
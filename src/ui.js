@@ -0,0 +1,133 @@
+// Shared palette, inline style objects and formatters for the tracker UI.
+
+// Colours are theme variables (defined per theme in styles.css), so these
+// style objects never need rebuilding when the theme changes.
+export const C = {
+  bg: "var(--md-bg)",
+  card: "var(--md-card)",
+  border: "var(--md-border)",
+  ink: "var(--md-ink)",
+  muted: "var(--md-muted)",
+  heading: "var(--md-heading)",
+  accent: "var(--md-accent)",
+  accentDeep: "var(--md-accent-deep)",
+  onAccent: "var(--md-on-accent)",
+  accent2: "var(--md-accent2)",
+  gold: "var(--md-gold)",
+  danger: "var(--md-danger)",
+  shadow: "var(--md-shadow)",
+  surface: "var(--md-surface)",
+  surfaceFaint: "var(--md-surface-faint)",
+  input: "var(--md-input)",
+  bar: "var(--md-bar)",
+  accentTint: "var(--md-accent-tint)",
+  goldTint: "var(--md-gold-tint)",
+  goldLine: "var(--md-gold-line)",
+  dangerTint: "var(--md-danger-tint)",
+  dangerLine: "var(--md-danger-line)",
+  route: "var(--md-route)",
+  dataBg: "var(--md-data-bg)",
+  dataBorder: "var(--md-data-border)"
+};
+
+export const page = {
+  maxWidth: "100%",
+  margin: "0 auto",
+  fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, sans-serif",
+  padding: 18,
+  color: C.ink
+};
+
+export const header = { display: "flex", alignItems: "baseline", justifyContent: "space-between", marginBottom: 12 };
+export const title = { margin: 0, letterSpacing: 0.2 };
+export const grid = { display: "grid", gridTemplateColumns: "3fr 1fr", gap: 16, alignItems: "start" };
+
+// Narrow screens (see media.js) stack everything in one column.
+export const headerNarrow = { ...header, flexDirection: "column", alignItems: "flex-start", gap: 8 };
+export const gridNarrow = { ...grid, gridTemplateColumns: "1fr" };
+export const card = { border: `1px solid ${C.border}`, borderRadius: 16, padding: 16, background: C.card, boxShadow: C.shadow };
+export const label = { fontSize: 12, color: C.muted, letterSpacing: 0.4, textTransform: "uppercase" };
+export const big = { fontSize: 30, fontWeight: 800, margin: "6px 0 2px" };
+export const small = { fontSize: 14, color: C.muted, marginTop: 6 };
+export const row = { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 12 };
+export const barWrap = { background: C.bar, borderRadius: 999, overflow: "hidden", height: 12, marginTop: 10, border: `1px solid ${C.border}` };
+
+export const inputStyle = {
+  padding: "10px 12px",
+  borderRadius: 12,
+  border: `1px solid ${C.border}`,
+  background: C.input,
+  color: C.ink,
+  outline: "none"
+};
+
+const btnBase = {
+  padding: "10px 12px",
+  borderRadius: 12,
+  border: `1px solid ${C.border}`,
+  cursor: "pointer",
+  fontWeight: 600
+};
+
+export const btnPrimary = { ...btnBase, background: `linear-gradient(180deg, ${C.accent}, ${C.accentDeep})`, color: C.onAccent, border: `1px solid ${C.accentDeep}` };
+export const btnGhost = { ...btnBase, background: "transparent", color: C.ink };
+export const btnDanger = { ...btnBase, background: "transparent", color: C.danger, border: `1px solid ${C.dangerLine}` };
+
+// Large enough to hit with a thumb.
+export const touchTarget = { minHeight: 44, minWidth: 44 };
+
+// Quick-add bar pinned to the bottom of the screen on phones.
+export const quickAddBar = {
+  position: "fixed",
+  left: 0,
+  right: 0,
+  bottom: 0,
+  zIndex: 10,
+  padding: "10px 12px calc(10px + env(safe-area-inset-bottom))",
+  background: C.card,
+  borderTop: `1px solid ${C.border}`,
+  boxShadow: C.shadow
+};
+
+export const toastStyle = {
+  marginBottom: 12,
+  padding: "10px 12px",
+  borderRadius: 14,
+  background: C.goldTint,
+  border: `1px solid ${C.goldLine}`,
+  color: C.ink
+};
+
+export const list = { margin: 0, paddingLeft: 0, listStyle: "none" };
+
+// Read out by screen readers, not shown.
+export const srOnly = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: "hidden",
+  clip: "rect(0, 0, 0, 0)",
+  whiteSpace: "nowrap",
+  border: 0
+};
+
+export const milestoneRow = (isCurrent) => ({
+  padding: "10px 10px",
+  borderRadius: 12,
+  border: `1px solid ${C.border}`,
+  background: isCurrent ? C.accentTint : C.surface,
+  boxShadow: isCurrent ? `0 0 0 1px ${C.accent}` : "none",
+  marginBottom: 10
+});
+
+export const pill = (bg, fg) => ({
+  display: "inline-block",
+  padding: "3px 8px",
+  borderRadius: 999,
+  fontSize: 12,
+  background: bg,
+  color: fg,
+  border: `1px solid ${C.border}`
+});
@@ -0,0 +1,85 @@
+// Display units and alternative ways of entering a walk. Everything is stored
+// in miles; conversion happens at the edges.
+
+export const MILES_TO_KM = 1.609344;
+
+export const UNITS = ["mi", "km"];
+
+export const ENTRY_MODES = [
+  { id: "distance", name: "Distance" },
+  { id: "steps", name: "Steps" },
+  { id: "minutes", name: "Minutes" }
+];
+
+// Roughly a 5'8" walker's stride, and an easy walking pace.
+export const DEFAULT_STRIDE_CM = 76;
+export const DEFAULT_PACE_MIN_PER_MILE = 20;
+
+const CM_PER_MILE = 160934.4;
+
+export function unitsFromSettings(settings = {}) {
+  return {
+    unit: UNITS.includes(settings.units) ? settings.units : "mi",
+    strideCm: Number(settings.strideCm) > 0 ? Number(settings.strideCm) : DEFAULT_STRIDE_CM,
+    paceMinPerMile: Number(settings.paceMinPerMile) > 0 ? Number(settings.paceMinPerMile) : DEFAULT_PACE_MIN_PER_MILE
+  };
+}
+
+export function toUnit(miles, unit) {
+  return unit === "km" ? miles * MILES_TO_KM : miles;
+}
+
+export function fromUnit(value, unit) {
+  return unit === "km" ? value / MILES_TO_KM : value;
+}
+
+// What a number input shows for a stored distance; rounded so km values stay
+// readable. Callers convert back with fromUnit only if the field was edited.
+export function distInputValue(miles, unit) {
+  return +toUnit(Number(miles) || 0, unit).toFixed(2);
+}
+
+// Number only; callers print the unit label themselves.
+export function fmtDist(miles, unit, maximumFractionDigits = 1) {
+  return toUnit(Number(miles) || 0, unit).toLocaleString(undefined, { maximumFractionDigits });
+}
+
+// Pace is stored per mile; shown and entered per display unit.
+export function paceInUnit(paceMinPerMile, unit) {
+  return unit === "km" ? paceMinPerMile / MILES_TO_KM : paceMinPerMile;
+}
+
+export function paceFromUnit(pace, unit) {
+  return unit === "km" ? pace * MILES_TO_KM : pace;
+}
+
+// Stride is stored in cm; mile users see inches.
+export function strideInUnit(strideCm, unit) {
+  return unit === "mi" ? strideCm / 2.54 : strideCm;
+}
+
+export function strideFromUnit(stride, unit) {
+  return unit === "mi" ? stride * 2.54 : stride;
+}
+
+// Turns what was typed into miles plus the raw value to keep on the entry.
+// Returns null when the value can't be used.
+export function entryFromInput(mode, value, prefs) {
+  const v = Number(value);
+  if (!Number.isFinite(v) || v <= 0) return null;
+
+  if (mode === "steps") {
+    return { miles: (v * prefs.strideCm) / CM_PER_MILE, raw: { value: v, mode: "steps", strideCm: prefs.strideCm } };
+  }
+  if (mode === "minutes") {
+    return { miles: v / prefs.paceMinPerMile, raw: { value: v, mode: "minutes", paceMinPerMile: prefs.paceMinPerMile } };
+  }
+  return { miles: fromUnit(v, prefs.unit), raw: { value: v, mode: prefs.unit } };
+}
+
+export function describeRaw(raw) {
+  if (!raw) return null;
+  if (raw.mode === "steps") return `${raw.value.toLocaleString()} steps`;
+  if (raw.mode === "minutes") return `${raw.value.toLocaleString()} min`;
+  return null;
+}
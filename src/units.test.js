@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import {
+  describeRaw,
+  distInputValue,
+  entryFromInput,
+  fmtDist,
+  fromUnit,
+  paceFromUnit,
+  paceInUnit,
+  strideFromUnit,
+  strideInUnit,
+  toUnit,
+  unitsFromSettings
+} from "./units";
+
+const prefs = { unit: "km", strideCm: 80, paceMinPerMile: 20 };
+
+describe("unit conversion", () => {
+  it("converts between miles and kilometres", () => {
+    expect(toUnit(10, "km")).toBeCloseTo(16.09344);
+    expect(fromUnit(16.09344, "km")).toBeCloseTo(10);
+    expect(toUnit(10, "mi")).toBe(10);
+    expect(fmtDist(1, "km")).toBe((1.6).toLocaleString());
+  });
+
+  it("rounds distances for number inputs", () => {
+    expect(distInputValue(5, "km")).toBe(8.05);
+    expect(distInputValue(5, "mi")).toBe(5);
+  });
+
+  it("shows pace and stride in the display unit", () => {
+    expect(paceInUnit(20, "km")).toBeCloseTo(12.43, 2);
+    expect(paceFromUnit(paceInUnit(20, "km"), "km")).toBeCloseTo(20);
+    expect(strideInUnit(76.2, "mi")).toBeCloseTo(30);
+    expect(strideFromUnit(30, "mi")).toBeCloseTo(76.2);
+    expect(strideInUnit(76, "km")).toBe(76);
+  });
+});
+
+describe("unitsFromSettings", () => {
+  it("defaults to miles with a typical stride and pace", () => {
+    expect(unitsFromSettings({})).toEqual({ unit: "mi", strideCm: 76, paceMinPerMile: 20 });
+    expect(unitsFromSettings({ units: "furlongs", strideCm: -1 }).unit).toBe("mi");
+  });
+});
+
+describe("entryFromInput", () => {
+  it("converts distance typed in the display unit", () => {
+    const e = entryFromInput("distance", "5", prefs);
+    expect(e.miles).toBeCloseTo(3.10686);
+    expect(e.raw).toEqual({ value: 5, mode: "km" });
+  });
+
+  it("converts steps with the stride length", () => {
+    const e = entryFromInput("steps", "10000", prefs);
+    expect(e.miles).toBeCloseTo(4.971, 3);
+    expect(e.raw).toEqual({ value: 10000, mode: "steps", strideCm: 80 });
+    expect(describeRaw(e.raw)).toBe(`${(10000).toLocaleString()} steps`);
+  });
+
+  it("converts minutes with the pace", () => {
+    const e = entryFromInput("minutes", "45", prefs);
+    expect(e.miles).toBe(2.25);
+    expect(e.raw.mode).toBe("minutes");
+  });
+
+  it("rejects empty, zero and negative values", () => {
+    expect(entryFromInput("distance", "", prefs)).toBeNull();
+    expect(entryFromInput("steps", "0", prefs)).toBeNull();
+    expect(entryFromInput("minutes", "-3", prefs)).toBeNull();
+  });
+});
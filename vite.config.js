@@ -1,7 +1,27 @@
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes dist/sw.js from src/sw.js with the build output listed for
+// precaching, so the app (bundle, map image, icons) opens offline.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const built = Object.keys(bundle).filter((f) => f !== 'index.html' && !f.endsWith('.map'))
+      const precache = ['/', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png', ...built.map((f) => `/${f}`)]
+      const version = createHash('sha256').update(precache.join('\n')).digest('hex').slice(0, 12)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE__', JSON.stringify(precache))
+        .replace('self.__CACHE_VERSION__', JSON.stringify(version))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })